@@ -12,17 +12,178 @@
 var Q = require('q');
 var machina = require('machina');
 
+// failed login attempts allowed per call when not configured
+var DEFAULT_MAX_LOGIN_ATTEMPTS = 3;
+// seconds failed logins are counted over, and a mailbox stays locked, when
+// lockout is enabled without configuring them
+var DEFAULT_LOCKOUT_WINDOW = 3600;
+var DEFAULT_LOCKOUT_DURATION = 900;
+// seconds skipped forward or back during playback when not configured
+var DEFAULT_SKIP_DURATION = 3;
+// Stasis args of the outbound leg of a callback
+var CALLBACK_APP_ARGS = 'dialed';
+// password policy, overridden by any configured policy
+var DEFAULT_PASSWORD_POLICY = {
+  minLength: 4,
+  rejectSequential: true,
+  rejectRepeated: true,
+  rejectMailboxNumber: true
+};
+
 /**
- * Returns a new finite state machine instance for the domain, mailboxNumber
- * , and channel.
+ * Returns the mailbox reader settings for a domain. Settings configured for
+ * the domain take precedence over application wide settings.
  *
  * @param {string} domain - the domain name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} settings - mailbox reader settings
+ */
+function getSettings(domain, dependencies) {
+  var appConfig = dependencies.config.getAppConfig();
+  var domainConfig = (appConfig.domains || {})[domain] || {};
+  var settings = {};
+
+  [appConfig, domainConfig].forEach(function(config) {
+    var section = (config.settings || {}).mailboxReader || {};
+
+    Object.keys(section).forEach(function(key) {
+      settings[key] = section[key];
+    });
+  });
+
+  return settings;
+}
+
+/**
+ * Parses a VoiceMailMain style option string, e.g. 'sa(1)g(3)'.
+ *
+ *   s - skip password check
+ *   p - treat the mailbox argument as a prefix to the number entered
+ *   a(folder) - start in the given folder
+ *   g(gain) - gain to apply to playback
+ *
+ * @param {string} optionString - the option string
+ * @returns {object} options - parsed options
+ */
+function parseOptions(optionString) {
+  var pattern = /([a-z])(?:\(([^)]*)\))?/g;
+  var options = {};
+  var match;
+
+  while (match = pattern.exec(optionString || '')) {
+    switch (match[1]) {
+      case 's':
+        options.skipPassword = true;
+        break;
+      case 'p':
+        options.prefix = true;
+        break;
+      case 'a':
+        options.folder = match[2];
+        break;
+      case 'g':
+        options.gain = parseFloat(match[2]);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Checks a new password against the password policy.
+ *
+ * @param {string} password - the new password
  * @param {string} mailboxNumber - the mailbox number
+ * @param {object} policy - the configured password policy
+ * @returns {string} reason - the reason the password was rejected, if any
+ */
+function checkPassword(password, mailboxNumber, policy) {
+  var rules = {};
+  var digits = password.split('').map(Number);
+
+  [DEFAULT_PASSWORD_POLICY, policy || {}].forEach(function(source) {
+    Object.keys(source).forEach(function(key) {
+      rules[key] = source[key];
+    });
+  });
+
+  var isSequence = function(step) {
+    return digits.every(function(digit, index) {
+      return index === 0 || digit - digits[index - 1] === step;
+    });
+  };
+
+  if (password.length < rules.minLength) {
+    return 'passwordTooShort';
+  }
+
+  if (rules.rejectMailboxNumber && password === mailboxNumber) {
+    return 'passwordIsMailbox';
+  }
+
+  if (rules.rejectRepeated && isSequence(0)) {
+    return 'passwordRepeated';
+  }
+
+  if (rules.rejectSequential && (isSequence(1) || isSequence(-1))) {
+    return 'passwordSequential';
+  }
+}
+
+/**
+ * Returns the number part of a caller id such as '"Bob" <1000>'.
+ *
+ * @param {string} callerId - the caller id
+ * @returns {string} number - the caller id number
+ */
+function getCallerNumber(callerId) {
+  var match = /<([^>]*)>/.exec(callerId || '');
+
+  return match ? match[1] : callerId;
+}
+
+/**
+ * Returns the prompt replacements describing a message's envelope. The
+ * weekday and month are zero based to match sounds such as digits/day-0 and
+ * digits/mon-0, and numbers are left for Asterisk to say in the channel's
+ * language.
+ *
+ * @param {object} message - the message record
+ * @returns {object} replacements - envelope prompt replacements
+ */
+function getEnvelopeReplacements(message) {
+  var date = new Date(message.date);
+  var hours = date.getHours();
+  var duration = Math.round(message.duration || 0);
+
+  return {
+    weekday: date.getDay(),
+    month: date.getMonth(),
+    day: date.getDate(),
+    year: date.getFullYear(),
+    hours: hours,
+    hours12: hours % 12 || 12,
+    minutes: date.getMinutes(),
+    period: (hours < 12) ? 'a-m' : 'p-m',
+    callerNumber: getCallerNumber(message.callerId),
+    durationMinutes: Math.floor(duration / 60),
+    durationSeconds: duration % 60
+  };
+}
+
+/**
+ * Returns a new finite state machine instance for the domain, mailboxNumber
+ * , and channel. The caller is asked for the mailbox number if none is given.
+ *
+ * @param {string} domain - the domain name
+ * @param {string} mailboxNumber - the mailbox number (optional)
+ * @param {object} options - Stasis args options and application name
  * @param {Channel} channel - a channel instance
  * @param {object} dependencies - object keyed by module dependencies
  * @returns {machina.Fsm} fsm - a finite state machine instance
  */
-function fsm(domain, mailboxNumber, channel, dependencies) {
+function fsm(domain, mailboxNumber, options, channel, dependencies) {
   var fsmInstance = new machina.Fsm({
 
     initialState: 'init',
@@ -45,255 +206,2434 @@ function fsm(domain, mailboxNumber, channel, dependencies) {
       }
     },
 
-    // handler for dtmf
-    dtmfHandler: function(event) {
-      var inputs = dependencies.config.getAppConfig().inputs.mailboxReader;
-      var state = inputs[this.state];
-      var action;
+    // handler for dtmf
+    dtmfHandler: function(event) {
+      var inputs = dependencies.config.getAppConfig().inputs.mailboxReader;
+      var state = inputs[this.state];
+      var action;
+
+      dependencies.logger.debug({
+        digit: event.digit,
+        state: state
+      }, 'dtmf received');
+
+      if (this.inactivityTimer) {
+        this.inactivityPrompts = 0;
+        this.startInactivityTimer();
+      }
+
+      if (state) {
+        this.clearInterDigitTimer();
+
+        // terminator submits whatever has been entered so far
+        if (state.terminator && event.digit === state.terminator &&
+            this.buffer.length) {
+          this.submitBuffer(state);
+          return;
+        }
+
+        this.buffer.push(event.digit);
+        var input = this.buffer.join('');
+        var match = state.regex && input.match(new RegExp(state.regex.match));
+
+        // with a terminator, regex input is only matched once submitted
+        if (!state.terminator && match) {
+          action = state.regex.action;
+          // a capture group picks out the part of the input to pass on
+          input = (match[1] !== undefined) ? match[1] : input;
+        } else {
+          action = state[input];
+        }
+
+        dependencies.logger.debug({
+          action: action,
+          buffer: this.buffer
+        }, 'dtmf matched action');
+
+        if (action) {
+          this.buffer = [];
+          this.handle(action, input);
+        } else if (state.terminator && event.digit === state.terminator) {
+          // terminator on an empty buffer with no action of its own
+          this.buffer = [];
+        } else if (state.interDigitTimeout) {
+          this.startInterDigitTimer(state.interDigitTimeout);
+        }
+      }
+    },
+
+    // submits the buffered input for the given state input config
+    submitBuffer: function(state) {
+      var input = this.buffer.join('');
+      var match = state.regex && input.match(new RegExp(state.regex.match));
+      var action;
+
+      this.buffer = [];
+
+      if (match) {
+        action = state.regex.action;
+        input = (match[1] !== undefined) ? match[1] : input;
+      } else {
+        action = state[input];
+      }
+
+      dependencies.logger.debug({
+        action: action,
+        input: input
+      }, 'dtmf buffer submitted');
+
+      if (action) {
+        this.handle(action, input);
+      }
+    },
+
+    // starts timer that flushes the buffer if no further digit is received
+    startInterDigitTimer: function(timeout) {
+      var self = this;
+
+      this.interDigitTimer = setTimeout(function() {
+        dependencies.logger.debug({
+          buffer: self.buffer
+        }, 'inter-digit timeout, flushing dtmf buffer');
+
+        self.interDigitTimer = null;
+        self.buffer = [];
+      }, timeout * 1000);
+    },
+
+    // clears the inter-digit timer
+    clearInterDigitTimer: function() {
+      if (this.interDigitTimer) {
+        clearTimeout(this.interDigitTimer);
+        this.interDigitTimer = null;
+      }
+    },
+
+    // starts (or restarts) the timer for a caller not pressing any keys
+    startInactivityTimer: function() {
+      var self = this;
+      var settings = getSettings(domain, dependencies);
+
+      this.clearInactivityTimer();
+
+      if (settings.inactivityTimeout) {
+        this.inactivityTimer = setTimeout(function() {
+          self.inactivityTimer = null;
+          self.inactive();
+        }, settings.inactivityTimeout * 1000);
+      }
+    },
+
+    // clears the inactivity timer
+    clearInactivityTimer: function() {
+      if (this.inactivityTimer) {
+        clearTimeout(this.inactivityTimer);
+        this.inactivityTimer = null;
+      }
+    },
+
+    // repeats the menu for an inactive caller, eventually giving up
+    inactive: function() {
+      var settings = getSettings(domain, dependencies);
+      var maxPrompts = settings.maxInactivityPrompts || 0;
+
+      dependencies.logger.info({
+        prompts: this.inactivityPrompts
+      }, 'caller inactive');
+
+      if (this.inactivityPrompts < maxPrompts) {
+        this.inactivityPrompts += 1;
+        // each state with an inactivity timer repeats its own menu
+        this.handle('repeatMenu');
+        this.startInactivityTimer();
+      } else {
+        this.goodbye();
+      }
+    },
+
+    // starts timers enforcing the maximum session duration
+    startSessionTimers: function() {
+      var self = this;
+      var settings = getSettings(domain, dependencies);
+      var duration = settings.maxSessionDuration;
+
+      if (!duration) {
+        return;
+      }
+
+      if (settings.sessionWarning && settings.sessionWarning < duration) {
+        this.sessionWarningTimer = setTimeout(function() {
+          self.sessionWarningTimer = null;
+
+          dependencies.logger.info('session nearing maximum duration');
+
+          self.playPrompt('sessionWarning')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing session warning prompt');
+            });
+        }, (duration - settings.sessionWarning) * 1000);
+      }
+
+      this.sessionTimer = setTimeout(function() {
+        self.sessionTimer = null;
+
+        dependencies.logger.info('session reached maximum duration');
+
+        self.transition('done');
+      }, duration * 1000);
+    },
+
+    // clears the session duration timers
+    clearSessionTimers: function() {
+      if (this.sessionWarningTimer) {
+        clearTimeout(this.sessionWarningTimer);
+        this.sessionWarningTimer = null;
+      }
+
+      if (this.sessionTimer) {
+        clearTimeout(this.sessionTimer);
+        this.sessionTimer = null;
+      }
+    },
+
+    // removes dtmf handler
+    removeDtmfHandler: function() {
+      if (this.currentDtmfHandler) {
+        dependencies.logger.trace('removing dtmfHandler');
+
+        channel.removeListener('ChannelDtmfReceived',
+                                     this.currentDtmfHandler);
+        this.currentDtmfHandler = null;
+      }
+    },
+
+    // plays a mailbox reader prompt, returning a promise
+    playPrompt: function(name, replacements) {
+      var prompts = dependencies.config.getAppConfig().prompts.mailboxReader;
+      var language = this.mailbox && this.mailbox.language;
+      var sounds = (language && prompts[name + '.' + language]) ||
+                   prompts[name];
+      var prompt = dependencies.prompt.create(sounds, channel, replacements);
+
+      return prompt.play();
+    },
+
+    // plays invalid password, giving up after too many attempts
+    loginFailed: function() {
+      var self = this;
+      var settings = getSettings(domain, dependencies);
+      var maxAttempts = settings.maxLoginAttempts ||
+                        DEFAULT_MAX_LOGIN_ATTEMPTS;
+
+      this.failedLogins += 1;
+
+      dependencies.logger.info({
+        attempts: this.failedLogins,
+        maxAttempts: maxAttempts
+      }, 'invalid password entered');
+
+      // ignore any further passwords while the prompt plays
+      if (this.failedLogins >= maxAttempts) {
+        this.removeDtmfHandler();
+      }
+
+      this.recordLoginFailure()
+        .then(function(lockedUntil) {
+          if (lockedUntil) {
+            self.refuseLogin(lockedUntil);
+            return;
+          }
+
+          return self.playPrompt('invalidPassword')
+            .then(function() {
+              if (self.failedLogins >= maxAttempts) {
+                dependencies.logger.warn('maximum login attempts reached');
+
+                self.goodbye();
+              }
+            });
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error handling failed login');
+
+          self.hangup();
+        });
+    },
+
+    // records a failed login, locking the mailbox once too many failures
+    // fall within the lockout window. Resolves to the lock expiry if locked.
+    recordLoginFailure: function() {
+      var settings = getSettings(domain, dependencies);
+      var dal = dependencies.dal;
+      var now = new Date();
+      var lockoutWindow = settings.lockoutWindow || DEFAULT_LOCKOUT_WINDOW;
+      var lockoutDuration = settings.lockoutDuration ||
+                            DEFAULT_LOCKOUT_DURATION;
+
+      if (!settings.lockoutThreshold) {
+        return Q.resolve(null);
+      }
+
+      var since = new Date(now.getTime() - lockoutWindow * 1000);
+
+      return dal.loginFailure.create(domain, mailboxNumber, now)
+        .then(function() {
+          return dal.loginFailure.countSince(domain, mailboxNumber, since);
+        })
+        .then(function(failures) {
+          if (failures <= settings.lockoutThreshold) {
+            return null;
+          }
+
+          var until = new Date(now.getTime() + lockoutDuration * 1000);
+
+          dependencies.logger.warn({
+            failures: failures,
+            lockedUntil: until
+          }, 'locking mailbox after repeated login failures');
+
+          return dal.mailboxLock.create(domain, mailboxNumber, until)
+            .then(function() {
+              return until;
+            });
+        });
+    },
+
+    // resolves to the expiry of the mailbox lock, or null if not locked
+    getLockedUntil: function() {
+      var settings = getSettings(domain, dependencies);
+
+      if (!settings.lockoutThreshold) {
+        return Q.resolve(null);
+      }
+
+      return dependencies.dal.mailboxLock.get(domain, mailboxNumber)
+        .then(function(lock) {
+          if (lock && lock.until > new Date()) {
+            return lock.until;
+          }
+
+          return null;
+        });
+    },
+
+    // resolves to the mailbox with the given number in the domain, if any
+    findMailbox: function(number) {
+      var dal = dependencies.dal;
+
+      return dal.context.get(domain)
+        .then(function(context) {
+          if (!context) {
+            throw new Error('context not found');
+          }
+
+          return dal.mailbox.get(number, context);
+        });
+    },
+
+    // resolves to the mailboxes for a mailbox number or distribution list id
+    findRecipients: function(id) {
+      var settings = getSettings(domain, dependencies);
+      var lists = settings.distributionLists || {};
+      var numbers = lists[id] || [id];
+
+      return Q.all(numbers.map(this.findMailbox.bind(this)))
+        .then(function(mailboxes) {
+          return mailboxes.filter(function(mailbox) {
+            return !!mailbox;
+          });
+        });
+    },
+
+    // resolves to whether the caller id is one the mailbox trusts
+    isTrustedCaller: function() {
+      var settings = getSettings(domain, dependencies);
+      var callerNumber = channel.caller && channel.caller.number;
+
+      if (settings.trustedCallerLogin === false || !callerNumber) {
+        return Q.resolve(false);
+      }
+
+      return dependencies.dal.trustedNumber.all(this.mailbox)
+        .then(function(numbers) {
+          var trusted = (numbers || []).indexOf(callerNumber) !== -1;
+
+          dependencies.logger.info({
+            callerNumber: callerNumber,
+            trusted: trusted
+          }, 'checked caller id against trusted numbers');
+
+          return trusted;
+        });
+    },
+
+    // refuses login to a locked mailbox then hangs up
+    refuseLogin: function(lockedUntil) {
+      var self = this;
+
+      dependencies.logger.warn({
+        lockedUntil: lockedUntil
+      }, 'refusing login to locked mailbox');
+
+      this.removeDtmfHandler();
+      this.emit('mailboxLocked', {
+        domain: domain,
+        mailboxNumber: mailboxNumber,
+        lockedUntil: lockedUntil
+      });
+
+      this.playPrompt('mailboxLocked')
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error playing mailbox locked prompt');
+        })
+        .then(function() {
+          self.goodbye();
+        });
+    },
+
+    // plays the goodbye prompt then hangs up, ending the session
+    goodbye: function() {
+      var self = this;
+
+      dependencies.logger.trace('goodbye called');
+
+      this.removeDtmfHandler();
+      this.clearInterDigitTimer();
+      this.clearInactivityTimer();
+
+      this.playPrompt('goodbye')
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error playing goodbye prompt');
+        })
+        .then(function() {
+          self.transition('done');
+        });
+    },
+
+    // creates the mailbox reader and starts reading messages
+    openMailbox: function() {
+      var self = this;
+
+      this.reader = dependencies.mailbox.createReader(this.mailbox, channel, {
+        urgentFirst: !!this.mailbox.urgentFirst
+      });
+      this.transition('ready');
+
+      if (options.gain) {
+        var setChannelVar = Q.denodeify(channel.setChannelVar.bind(channel));
+
+        setChannelVar({variable: 'VOLUME(TX)', value: String(options.gain)})
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err
+            }, 'error setting playback gain');
+          });
+      }
+
+      if (options.folder) {
+        this.reader.submitFolder(options.folder)
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err
+            }, 'error opening start folder');
+
+            self.hangup();
+          });
+      }
+    },
+
+    // sets the channel language to the mailbox's language, if it has one
+    setLanguage: function() {
+      var setChannelVar = Q.denodeify(channel.setChannelVar.bind(channel));
+
+      if (!this.mailbox.language) {
+        return Q.resolve(null);
+      }
+
+      return setChannelVar({
+        variable: 'CHANNEL(language)',
+        value: this.mailbox.language
+      });
+    },
+
+    // tells the caller how many new and old messages are in the mailbox
+    announceMessageCounts: function() {
+      var self = this;
+
+      dependencies.logger.trace('announceMessageCounts called');
+
+      this.setLanguage()
+        .then(function() {
+          return dependencies.dal.message.count(self.mailbox);
+        })
+        .then(function(counts) {
+          var prompts = [];
+
+          // e.g. urgentMessage for 1 urgent message, oldMessages for 2 old
+          ['urgent', 'new', 'old'].forEach(function(kind) {
+            var count = counts[kind + 'Messages'];
+
+            if (count) {
+              prompts.push({
+                name: kind + ((count === 1) ? 'Message' : 'Messages'),
+                count: count
+              });
+            }
+          });
+
+          if (!prompts.length) {
+            return;
+          }
+
+          return prompts.reduce(function(played, prompt, index) {
+            return played
+              .then(function() {
+                if (index > 0) {
+                  return self.playPrompt('and');
+                }
+              })
+              .then(function() {
+                return self.playPrompt(prompt.name, {count: prompt.count});
+              });
+          }, self.playPrompt('youHave'));
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error announcing message counts');
+        });
+    },
+
+    // plays the received date and time, caller id and duration of a message
+    playEnvelope: function(message) {
+      var self = this;
+      var urgent = message.urgent ? this.playPrompt('urgent') :
+                                    Q.resolve(null);
+
+      return urgent
+        .then(function() {
+          return self.playPrompt('envelope',
+                                 getEnvelopeReplacements(message));
+        });
+    },
+
+    // returns a function for the reader to play the envelope before each
+    // message, if the mailbox has automatic envelopes turned on
+    getAutoEnvelope: function() {
+      var self = this;
+
+      if (!this.mailbox.envelope) {
+        return undefined;
+      }
+
+      return function(message) {
+        return self.playEnvelope(message);
+      };
+    },
+
+    // deletes the messages marked for deletion during the call
+    commitDeletions: function() {
+      var deleted = this.deletedMessages;
+      var ids = Object.keys(deleted);
+      var messages = ids.map(function(id) {
+        return deleted[id];
+      });
+
+      this.deletedMessages = {};
+
+      if (!messages.length) {
+        return;
+      }
+
+      dependencies.dal.message.remove(messages)
+        .then(function() {
+          dependencies.logger.info({
+            messageIds: ids
+          }, 'messages deleted');
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err,
+            messageIds: ids
+          }, 'error deleting messages');
+        });
+    },
+
+    // asks the caller to confirm an operation on every message in the folder
+    confirmFolderOperation: function(operation) {
+      this.folderOperation = operation;
+      this.transition('confirmingFolderOperation');
+    },
+
+    // runs the confirmed folder operation as a single batch
+    runFolderOperation: function() {
+      var self = this;
+      var operation = this.folderOperation;
+      var messages = this.reader.getMessages();
+
+      dependencies.logger.trace({
+        operation: operation
+      }, 'runFolderOperation called');
+
+      // confirming again while the batch runs must not repeat it
+      this.folderOperation = null;
+
+      dependencies.dal.message.batch(messages, operation)
+        .then(function(failed) {
+          failed = failed || [];
+
+          dependencies.logger.info({
+            type: operation.type,
+            messages: messages.length,
+            failedIds: failed.map(function(message) {
+              return message.id;
+            })
+          }, 'folder operation finished');
+
+          // deleted or moved messages can no longer be marked for deletion
+          if (operation.type !== 'markRead') {
+            messages.forEach(function(message) {
+              if (failed.indexOf(message) === -1) {
+                delete self.deletedMessages[message.id];
+              }
+            });
+          }
+
+          return self.reader.refresh()
+            .then(function() {
+              // caller hung up while the folder operation ran
+              if (self.state !== 'confirmingFolderOperation') {
+                return;
+              }
+
+              self.transition('ready');
+
+              return self.playPrompt(failed.length ?
+                                     'folderOperationIncomplete' :
+                                     'folderOperationComplete');
+            });
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error running folder operation');
+
+          self.hangup();
+        });
+    },
+
+    // starts the recording sub-flow. The request gives the prompt to play
+    // before recording, the onAccept function called with the accepted
+    // recording, and the state to return to if the recording is cancelled.
+    startRecording: function(request) {
+      this.recordingRequest = request;
+      this.transition('recording');
+    },
+
+    // records from the channel, resolving with the finished recording
+    record: function() {
+      var self = this;
+      var settings = getSettings(domain, dependencies);
+      var record = Q.denodeify(channel.record.bind(channel));
+      var finished = Q.defer();
+
+      var params = {
+        name: 'voicemail-main/' + channel.id + '-' + Date.now(),
+        format: settings.recordingFormat || 'wav',
+        maxDurationSeconds: settings.maxRecordingDuration || 0,
+        beep: true,
+        ifExists: 'overwrite',
+        terminateOn: '#'
+      };
+
+      return record(params)
+        .then(function(recording) {
+          self.liveRecording = recording;
+
+          recording.once('RecordingFinished', function() {
+            self.liveRecording = null;
+            finished.resolve(recording);
+          });
+          recording.once('RecordingFailed', function(event) {
+            self.liveRecording = null;
+            finished.reject(new Error('recording failed'));
+          });
+
+          return finished.promise;
+        });
+    },
+
+    // stops and discards a recording still in progress
+    discardLiveRecording: function() {
+      var recording = this.liveRecording;
+
+      if (!recording) {
+        return;
+      }
+
+      dependencies.logger.info({
+        name: recording.name
+      }, 'discarding unfinished recording');
+
+      this.liveRecording = null;
+
+      var cancel = Q.denodeify(recording.cancel.bind(recording));
+
+      cancel()
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error discarding recording');
+        });
+    },
+
+    // deletes a finished recording that was not accepted from the server
+    discardRecording: function() {
+      var recording = this.recording;
+      var client = dependencies.client;
+
+      if (!recording) {
+        return;
+      }
+
+      dependencies.logger.info({
+        name: recording.name
+      }, 'deleting discarded recording');
+
+      this.recording = null;
+
+      var deleteStored = Q.denodeify(
+        client.recordings.deleteStored.bind(client.recordings));
+
+      deleteStored({recordingName: recording.name})
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error deleting recording');
+        });
+    },
+
+    // asks for a new password, returning to the given state once changed
+    changePassword: function(returnState, required) {
+      dependencies.logger.trace({
+        returnState: returnState
+      }, 'changePassword called');
+
+      this.passwordChange = {
+        returnState: returnState,
+        required: required
+      };
+      this.transition('enteringNewPassword');
+    },
+
+    // leaves the password change unless the new password is required
+    cancelPasswordChange: function() {
+      if (this.passwordChange.required) {
+        this.playPrompt('passwordRequired')
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err
+            }, 'error playing password required prompt');
+          });
+      } else {
+        this.transition(this.passwordChange.returnState);
+      }
+    },
+
+    // records a greeting of the given type, saving it once accepted
+    recordGreeting: function(type, prompt, returnState) {
+      var self = this;
+
+      returnState = returnState || 'mailboxOptions';
+
+      dependencies.logger.trace({
+        type: type
+      }, 'recordGreeting called');
+
+      this.startRecording({
+        prompt: prompt,
+        onAccept: function(recording) {
+          dependencies.dal.greeting.save(self.mailbox, type, recording)
+            .then(function() {
+              dependencies.logger.info({
+                type: type
+              }, 'greeting saved');
+
+              return self.playPrompt('greetingSaved');
+            })
+            .then(function() {
+              // caller hung up while the greeting was being saved
+              if (self.state === 'reviewingRecording') {
+                self.transition(returnState);
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error saving greeting');
+
+              self.hangup();
+            });
+        },
+        cancelState: returnState
+      });
+    },
+
+    // resolves to the setup steps a new mailbox has not gone through yet.
+    // Setup left unfinished on an earlier call resumes even once the name
+    // has been recorded.
+    getTutorialSteps: function(password) {
+      var settings = getSettings(domain, dependencies);
+      var greeting = dependencies.dal.greeting;
+      var defaultPassword = settings.defaultPassword !== undefined &&
+          password === String(settings.defaultPassword);
+      var setupPending = !!this.mailbox.setupPending;
+
+      return Q.all([
+        greeting.get(this.mailbox, 'name'),
+        greeting.get(this.mailbox, 'unavailable')
+      ])
+        .spread(function(name, unavailable) {
+          var steps = [];
+
+          if (!defaultPassword && name && !setupPending) {
+            return steps;
+          }
+
+          if (defaultPassword) {
+            steps.push('password');
+          }
+          if (!name) {
+            steps.push('name');
+          }
+          if (!unavailable) {
+            steps.push('greeting');
+          }
+
+          return steps;
+        });
+    },
+
+    // moves on to the next setup step, opening the mailbox after the last one
+    nextTutorialStep: function() {
+      var self = this;
+      var step = this.tutorialSteps.shift();
+
+      dependencies.logger.trace({
+        step: step
+      }, 'nextTutorialStep called');
+
+      switch (step) {
+        case 'password':
+          this.changePassword('tutorial', true);
+          break;
+        case 'name':
+          this.recordGreeting('name', 'recordName', 'tutorial');
+          break;
+        case 'greeting':
+          this.recordGreeting('unavailable', 'recordUnavailableGreeting',
+                              'tutorial');
+          break;
+        default:
+          dependencies.dal.mailbox.setSetupPending(this.mailbox, false)
+            .then(function() {
+              dependencies.logger.info('mailbox setup complete');
+
+              if (self.state === 'tutorial') {
+                self.openMailbox();
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error completing mailbox setup');
+
+              self.hangup();
+            });
+      }
+    },
+
+    // forwards the current message to the chosen mailbox
+    forwardMessage: function(introduction) {
+      var self = this;
+      var message = this.reader.getCurrentMessage();
+      var state = this.state;
+
+      dependencies.logger.trace('forwardMessage called');
+
+      dependencies.dal.message.forward(message, this.forwardTo, introduction)
+        .then(function() {
+          dependencies.logger.info({
+            mailboxNumber: self.forwardTo.mailboxNumber
+          }, 'message forwarded');
+
+          // caller hung up while the message was being forwarded
+          if (self.state !== state) {
+            return;
+          }
+
+          self.transition('ready');
+
+          return self.playPrompt('messageForwarded');
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error forwarding message');
+
+          self.hangup();
+        });
+    },
+
+    // sends a recording as a new message to each of the recipient mailboxes
+    sendMessage: function(recipients, recording) {
+      var self = this;
+      var state = this.state;
+
+      dependencies.logger.trace('sendMessage called');
+
+      dependencies.dal.message.send(recording, recipients, this.mailbox)
+        .then(function() {
+          dependencies.logger.info({
+            recipients: recipients.map(function(recipient) {
+              return recipient.mailboxNumber;
+            })
+          }, 'message sent');
+
+          // caller hung up while the message was being sent
+          if (self.state !== state) {
+            return;
+          }
+
+          self.transition('ready');
+
+          return self.playPrompt('messageSent');
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error sending message');
+
+          self.hangup();
+        });
+    },
+
+    // returns whether a number may be called back from voicemail
+    isCallbackAllowed: function(number) {
+      var settings = getSettings(domain, dependencies);
+      var patterns = settings.callbackPatterns || [];
+
+      if (!number || !settings.callbackEndpoint) {
+        return false;
+      }
+
+      // the whole number must match, not just part of it
+      return patterns.some(function(pattern) {
+        return new RegExp('^(?:' + pattern + ')$').test(number);
+      });
+    },
+
+    // hangs up the outbound leg of a callback and destroys its bridge
+    endCallback: function() {
+      var callback = this.callback;
+
+      if (!callback) {
+        return;
+      }
+
+      dependencies.logger.trace('endCallback called');
+
+      this.callback = null;
+      callback.channel.removeListener('ChannelDestroyed', callback.ended);
+
+      var hangup = Q.denodeify(callback.channel.hangup.bind(callback.channel));
+      var destroy = Q.denodeify(callback.bridge.destroy.bind(callback.bridge));
+
+      hangup()
+        .catch(function(err) {
+          // outbound leg already gone
+        });
+
+      destroy()
+        .catch(function(err) {
+          // bridge was never created or already destroyed
+        });
+    },
+
+    // leaves voicemail, continuing in the dialplan at the operator extension
+    transferToOperator: function() {
+      var self = this;
+      var settings = getSettings(domain, dependencies);
+      var operator = settings.operator;
+
+      dependencies.logger.trace('transferToOperator called');
+
+      if (!operator) {
+        dependencies.logger.warn('no operator configured for domain');
+        return;
+      }
+
+      // cleanup in done without hanging up the channel
+      this.continuingInDialplan = true;
+      this.transition('done');
+
+      var continueInDialplan = Q.denodeify(
+        channel.continueInDialplan.bind(channel));
+
+      continueInDialplan({
+        context: operator.context,
+        extension: operator.extension,
+        priority: operator.priority
+      })
+        .then(function() {
+          dependencies.logger.info({
+            operator: operator
+          }, 'transferred to operator');
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'error continuing in dialplan');
+
+          self.hangup();
+        });
+    },
+
+    // hangup the channel
+    hangup: function() {
+      var self = this;
+
+      dependencies.logger.trace('hangup called');
+
+      var hangup = Q.denodeify(channel.hangup.bind(channel));
+
+      hangup()
+        .catch(function(err) {
+          // do nothing
+        });
+    },
+
+    states : {
+      // bootstrapping
+      'init' : {
+        _onEnter: function() {
+          var self = this;
+          this.buffer = [];
+          this.loginAttempts = 0;
+          this.failedLogins = 0;
+          this.inactivityPrompts = 0;
+          this.deletedMessages = {};
+
+          dependencies.logger.trace('In init state');
+
+          this.currentHangupHandler = this.hangupHandler.bind(this);
+          channel.once('StasisEnd', this.currentHangupHandler);
+
+          this.currentDtmfHandler = this.dtmfHandler.bind(this);
+          channel.on('ChannelDtmfReceived', this.currentDtmfHandler);
+
+          var answer = Q.denodeify(channel.answer.bind(channel));
+          answer()
+            .then(function() {
+              self.startSessionTimers();
+
+              if (mailboxNumber) {
+                self.transition('auth');
+              } else {
+                self.transition('collectingMailbox');
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error answering channel');
+
+              self.transition('done');
+            });
+        }
+      },
+
+      // collecting mailbox number from caller
+      'collectingMailbox': {
+        _onEnter: function() {
+          dependencies.logger.trace('In collectingMailbox state');
+
+          this.playPrompt('enterMailbox')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing enter mailbox prompt');
+            });
+        },
+
+        submit: function(digits) {
+          var self = this;
+          var number = (options.mailboxPrefix || '') + digits;
+
+          dependencies.logger.trace('submit called');
+
+          this.findMailbox(number)
+            .then(function(mailbox) {
+              if (mailbox) {
+                mailboxNumber = number;
+                self.transition('auth');
+
+                return;
+              }
+
+              dependencies.logger.info({
+                mailboxNumber: number
+              }, 'unknown mailbox entered');
+
+              return self.playPrompt('invalidMailbox')
+                .then(function() {
+                  return self.playPrompt('enterMailbox');
+                });
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error collecting mailbox');
+
+              self.hangup();
+            });
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // authenticating mailbox
+      'auth': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In auth state');
+
+          this.auth = dependencies.auth.create(channel);
+
+          this.auth.init(domain, mailboxNumber)
+            .then(function(mailbox) {
+              self.mailbox = mailbox;
+
+              return self.getLockedUntil();
+            })
+            .then(function(lockedUntil) {
+              if (lockedUntil) {
+                self.refuseLogin(lockedUntil);
+              } else if (options.skipPassword) {
+                dependencies.logger.info('skipping password check');
+
+                self.openMailbox();
+              } else {
+                return self.isTrustedCaller()
+                  .then(function(trusted) {
+                    if (trusted) {
+                      self.openMailbox();
+                    } else {
+                      self.transition('waitingForAuth');
+                    }
+                  });
+              }
+            })
+            .catch(function(err) {
+              // for now, hangup on any error
+              dependencies.logger.error({
+                err: err
+              }, 'error initializing authenticator');
+
+              self.hangup();
+            });
+        },
+
+        authenticate: function() {
+          dependencies.logger.trace({
+            state: this.state
+          }, 'Deferring authenticate until waitingForAuth');
+
+          this.deferUntilTransition('waitingForAuth');
+        }
+      },
+
+      // waiting for authentication
+      'waitingForAuth': {
+        _onEnter: function() {
+          dependencies.logger.trace('In waitingForAuth state');
+        },
+
+        authenticate: function(password) {
+          var self = this;
+          var settings = getSettings(domain, dependencies);
+          var maxAttempts = settings.maxLoginAttempts ||
+                            DEFAULT_MAX_LOGIN_ATTEMPTS;
+
+          dependencies.logger.trace('authenticate called');
+
+          // passwords entered while earlier ones are checked count too
+          if (this.loginAttempts >= maxAttempts) {
+            dependencies.logger.warn('ignoring password after maximum login ' +
+                                     'attempts');
+
+            return;
+          }
+
+          this.loginAttempts += 1;
+          this.auth.authenticate(password)
+            .then(function() {
+              return self.getTutorialSteps(password);
+            })
+            .then(function(steps) {
+              // caller hung up while the mailbox was being checked
+              if (self.state !== 'waitingForAuth') {
+                return;
+              }
+
+              if (steps.length) {
+                dependencies.logger.info({
+                  steps: steps
+                }, 'starting mailbox setup');
+
+                // remembered until the last step so a later call resumes
+                return dependencies.dal.mailbox.setSetupPending(self.mailbox,
+                                                               true)
+                  .then(function() {
+                    if (self.state === 'waitingForAuth') {
+                      self.tutorialSteps = steps;
+                      self.transition('tutorial');
+                    }
+                  });
+              } else {
+                self.openMailbox();
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error authenticating');
+
+              if (err.name !== 'InvalidPassword') {
+                self.hangup();
+              } else {
+                self.loginFailed();
+              }
+            });
+        },
+
+        operator: function() {
+          this.transferToOperator();
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // setting up a new mailbox, entered again after each step
+      'tutorial': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In tutorial state');
+
+          if (this.tutorialStarted) {
+            this.nextTutorialStep();
+
+            return;
+          }
+
+          this.tutorialStarted = true;
+          this.playPrompt('tutorialIntro')
+            .then(function() {
+              // caller hung up during the introduction
+              if (self.state === 'tutorial') {
+                self.nextTutorialStep();
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing tutorial intro prompt');
+
+              self.hangup();
+            });
+        }
+      },
+
+      // ready to receive input
+      'ready' : {
+        _onEnter: function() {
+          dependencies.logger.trace('In ready state');
+
+          this.startInactivityTimer();
+
+          if (!this.countsAnnounced) {
+            this.countsAnnounced = true;
+            this.announceMessageCounts();
+          }
+        },
+
+        first: function() {
+          dependencies.logger.trace('first called');
+
+          this.reader.first(this.getAutoEnvelope());
+        },
+
+        replay: function() {
+          dependencies.logger.trace('replay called');
+
+          this.reader.replay();
+        },
+
+        skipForward: function() {
+          var settings = getSettings(domain, dependencies);
+
+          dependencies.logger.trace('skipForward called');
+
+          this.reader.skipForward(settings.skipDuration ||
+                                  DEFAULT_SKIP_DURATION);
+        },
+
+        skipBack: function() {
+          var settings = getSettings(domain, dependencies);
+
+          dependencies.logger.trace('skipBack called');
+
+          this.reader.skipBack(settings.skipDuration || DEFAULT_SKIP_DURATION);
+        },
+
+        // pauses playback, or resumes it if paused
+        pause: function() {
+          dependencies.logger.trace('pause called');
+
+          this.reader.pause();
+        },
+
+        speedUp: function() {
+          dependencies.logger.trace('speedUp called');
+
+          this.reader.speedUp();
+        },
+
+        slowDown: function() {
+          dependencies.logger.trace('slowDown called');
+
+          this.reader.slowDown();
+        },
+
+        toggleUrgent: function() {
+          var self = this;
+          var message = this.reader.getCurrentMessage();
+
+          dependencies.logger.trace('toggleUrgent called');
+
+          if (!message) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          dependencies.dal.message.setUrgent(message, !message.urgent)
+            .then(function() {
+              message.urgent = !message.urgent;
+
+              dependencies.logger.info({
+                urgent: message.urgent
+              }, 'message urgency changed');
+
+              return self.playPrompt(message.urgent ? 'messageMarkedUrgent' :
+                                                      'messageUnmarkedUrgent');
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error changing message urgency');
+
+              self.hangup();
+            });
+        },
+
+        markUnread: function() {
+          var self = this;
+          var message = this.reader.getCurrentMessage();
+
+          dependencies.logger.trace('markUnread called');
+
+          if (!message) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          dependencies.dal.message.markUnread(message)
+            .then(function() {
+              dependencies.logger.info('message marked unread');
+
+              return self.playPrompt('messageMarkedUnread');
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error marking message unread');
+
+              self.hangup();
+            });
+        },
+
+        // plays the message with the given number, starting at 1
+        gotoMessage: function(input) {
+          var number = parseInt(input, 10);
+
+          dependencies.logger.trace({
+            number: number
+          }, 'gotoMessage called');
+
+          if (!(number >= 1 && number <= this.reader.getMessageCount())) {
+            this.playPrompt('invalidMessageNumber')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing invalid message number prompt');
+              });
+            return;
+          }
+
+          this.reader.gotoMessage(number, this.getAutoEnvelope());
+        },
+
+        envelope: function() {
+          var message = this.reader.getCurrentMessage();
+
+          dependencies.logger.trace('envelope called');
+
+          if (!message) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          this.playEnvelope(message)
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing envelope');
+            });
+        },
+
+        next: function() {
+          dependencies.logger.trace('next called');
+
+          this.reader.next(this.getAutoEnvelope());
+        },
+
+        prev: function() {
+          dependencies.logger.trace('prev called');
+
+          this.reader.prev(this.getAutoEnvelope());
+        },
+
+        'delete': function() {
+          var message = this.reader.getCurrentMessage();
+
+          dependencies.logger.trace('delete called');
+
+          if (!message) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          // deleting a message marked for deletion restores it
+          if (this.deletedMessages[message.id]) {
+            delete this.deletedMessages[message.id];
+            this.playPrompt('messageUndeleted')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing message undeleted prompt');
+              });
+          } else {
+            this.deletedMessages[message.id] = message;
+            this.playPrompt('messageDeleted')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing message deleted prompt');
+              });
+          }
+        },
+
+        previousMenu: function() {
+          this.reader.previousMenu();
+        },
+
+        repeatMenu: function() {
+          this.reader.repeatMenu();
+        },
+
+        forward: function() {
+          dependencies.logger.trace('forward called');
+
+          if (!this.reader.getCurrentMessage()) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          this.transition('forwardingMessage');
+        },
+
+        folderOperations: function() {
+          dependencies.logger.trace('folderOperations called');
+
+          this.transition('folderOperations');
+        },
+
+        save: function() {
+          dependencies.logger.trace('save called');
+
+          if (!this.reader.getCurrentMessage()) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          this.transition('savingToFolder');
+        },
+
+        reply: function() {
+          var self = this;
+          var message = this.reader.getCurrentMessage();
+
+          dependencies.logger.trace('reply called');
+
+          if (!message) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          this.findMailbox(getCallerNumber(message.callerId))
+            .then(function(sender) {
+              if (!sender) {
+                dependencies.logger.info({
+                  callerId: message.callerId
+                }, 'cannot reply to external caller');
+
+                return self.playPrompt('replyUnavailable');
+              }
+
+              self.startRecording({
+                prompt: 'recordReply',
+                onAccept: self.sendMessage.bind(self, [sender]),
+                cancelState: 'ready'
+              });
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error finding message sender');
+
+              self.hangup();
+            });
+        },
+
+        callback: function() {
+          var message = this.reader.getCurrentMessage();
+
+          dependencies.logger.trace('callback called');
+
+          if (!message) {
+            this.playPrompt('noCurrentMessage')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing no current message prompt');
+              });
+            return;
+          }
+
+          var number = getCallerNumber(message.callerId);
+
+          if (!this.isCallbackAllowed(number)) {
+            dependencies.logger.info({
+              number: number
+            }, 'callback not allowed');
+
+            this.playPrompt('callbackNotAllowed')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing callback not allowed prompt');
+              });
+            return;
+          }
+
+          this.callbackNumber = number;
+          this.transition('callingBack');
+        },
+
+        compose: function() {
+          dependencies.logger.trace('compose called');
+
+          this.transition('addingRecipients');
+        },
+
+        exit: function() {
+          dependencies.logger.trace('exit called');
+
+          this.goodbye();
+        },
+
+        operator: function() {
+          this.transferToOperator();
+        },
+
+        mailboxOptions: function() {
+          dependencies.logger.trace('mailboxOptions called');
+
+          this.transition('mailboxOptions');
+        },
+
+        changeFolder: function() {
+          dependencies.logger.trace('changeFolder called');
+
+          this.reader.changeFolder();
+          this.transition('changingFolder');
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+          this.clearInactivityTimer();
+        }
+      },
+
+      // changing folder
+      'changingFolder': {
+        _onEnter: function() {
+          dependencies.logger.trace('In changingFolder state');
+
+          this.startInactivityTimer();
+        },
+
+        submit: function(option) {
+          var self = this;
+
+          dependencies.logger.trace('submit called');
+
+          this.reader.submitFolder(option)
+            .then(function() {
+              self.transition('ready');
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error submitting folder');
+
+              self.hangup();
+            });
+        },
+
+        previousMenu: function() {
+            this.reader.previousMenu();
+            this.transition('ready');
+        },
+
+        repeatMenu: function() {
+            this.reader.repeatMenu();
+        },
+
+        operator: function() {
+          this.transferToOperator();
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+          this.clearInactivityTimer();
+        }
+      },
+
+      // operations on every message in the current folder
+      'folderOperations': {
+        _onEnter: function() {
+          dependencies.logger.trace('In folderOperations state');
+
+          this.playPrompt('folderOperations')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing folder operations prompt');
+            });
+        },
+
+        deleteAll: function() {
+          this.confirmFolderOperation({type: 'delete'});
+        },
+
+        markAllRead: function() {
+          this.confirmFolderOperation({type: 'markRead'});
+        },
+
+        moveAll: function() {
+          this.transition('choosingMoveFolder');
+        },
+
+        previousMenu: function() {
+          this.transition('ready');
+        },
+
+        repeatMenu: function() {
+          this.playPrompt('folderOperations')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing folder operations prompt');
+            });
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // choosing the folder to move every message in the folder to
+      'choosingMoveFolder': {
+        _onEnter: function() {
+          dependencies.logger.trace('In choosingMoveFolder state');
+
+          this.playPrompt('moveAllToFolder')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing move all to folder prompt');
+            });
+        },
+
+        submit: function(option) {
+          var folder = this.reader.getFolder(option);
+
+          dependencies.logger.trace('submit called');
+
+          if (!folder) {
+            this.playPrompt('invalidFolder')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing invalid folder prompt');
+              });
+            return;
+          }
+
+          this.confirmFolderOperation({
+            type: 'move',
+            folder: folder
+          });
+        },
+
+        previousMenu: function() {
+          this.transition('folderOperations');
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // waiting for the caller to confirm a folder operation
+      'confirmingFolderOperation': {
+        _onEnter: function() {
+          dependencies.logger.trace('In confirmingFolderOperation state');
+
+          this.playPrompt('confirmFolderOperation')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing confirm folder operation prompt');
+            });
+        },
+
+        confirm: function() {
+          dependencies.logger.trace('confirm called');
+
+          if (this.folderOperation) {
+            this.runFolderOperation();
+          }
+        },
+
+        previousMenu: function() {
+          this.folderOperation = null;
+          this.transition('folderOperations');
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // choosing the folder to move the current message to
+      'savingToFolder': {
+        _onEnter: function() {
+          dependencies.logger.trace('In savingToFolder state');
+
+          this.startInactivityTimer();
+          this.playPrompt('saveToFolder')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing save to folder prompt');
+            });
+        },
+
+        submit: function(option) {
+          var self = this;
+          var message = this.reader.getCurrentMessage();
+          var folder = this.reader.getFolder(option);
+
+          dependencies.logger.trace('submit called');
+
+          if (!folder) {
+            this.playPrompt('invalidFolder')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing invalid folder prompt');
+              });
+            return;
+          }
+
+          // a saved message is no longer marked for deletion, even if the
+          // caller hangs up before the move finishes
+          delete this.deletedMessages[message.id];
+
+          dependencies.dal.message.changeFolder(message, folder)
+            .then(function() {
+              dependencies.logger.info({
+                folder: folder
+              }, 'message moved');
+
+              // the moved message is no longer in the folder being read
+              return self.reader.refresh();
+            })
+            .then(function() {
+              // caller hung up while the message was being moved
+              if (self.state !== 'savingToFolder') {
+                return;
+              }
+
+              self.transition('ready');
+
+              return self.playPrompt('messageSaved')
+                .then(function() {
+                  self.reader.next(self.getAutoEnvelope());
+                });
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error moving message');
+
+              self.hangup();
+            });
+        },
+
+        previousMenu: function() {
+          this.transition('ready');
+        },
+
+        repeatMenu: function() {
+          this.playPrompt('saveToFolder')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing save to folder prompt');
+            });
+        },
+
+        operator: function() {
+          this.transferToOperator();
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+          this.clearInactivityTimer();
+        }
+      },
+
+      // entering mailbox to forward the current message to
+      'forwardingMessage': {
+        _onEnter: function() {
+          dependencies.logger.trace('In forwardingMessage state');
+
+          this.forwardTo = null;
+          this.playPrompt('enterForwardMailbox')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing enter forward mailbox prompt');
+            });
+        },
+
+        submit: function(digits) {
+          var self = this;
+
+          dependencies.logger.trace('submit called');
+
+          this.findMailbox(digits)
+            .then(function(mailbox) {
+              if (mailbox) {
+                self.forwardTo = mailbox;
+                self.transition('confirmingForward');
+
+                return;
+              }
+
+              dependencies.logger.info({
+                mailboxNumber: digits
+              }, 'unknown forward mailbox entered');
+
+              return self.playPrompt('invalidMailbox')
+                .then(function() {
+                  return self.playPrompt('enterForwardMailbox');
+                });
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error finding forward mailbox');
+
+              self.hangup();
+            });
+        },
+
+        previousMenu: function() {
+          this.reader.previousMenu();
+          this.transition('ready');
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // confirming mailbox and choosing whether to record an introduction
+      'confirmingForward': {
+        _onEnter: function() {
+          dependencies.logger.trace('In confirmingForward state');
+
+          this.playPrompt('confirmForward', {
+            mailboxNumber: this.forwardTo.mailboxNumber
+          })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing confirm forward prompt');
+            });
+        },
+
+        recordIntroduction: function() {
+          dependencies.logger.trace('recordIntroduction called');
 
-      dependencies.logger.debug({
-        digit: event.digit,
-        state: state
-      }, 'dtmf received');
+          this.startRecording({
+            prompt: 'recordIntroduction',
+            onAccept: this.forwardMessage.bind(this),
+            cancelState: 'confirmingForward'
+          });
+        },
 
-      if (state) {
-        this.buffer.push(event.digit);
-        var input = this.buffer.join('');
+        send: function() {
+          dependencies.logger.trace('send called');
 
-        if (state.regex && input.match(new RegExp(state.regex.match))) {
-          action = state.regex.action;
-        } else {
-          action = state[input];
-        }
+          this.forwardMessage();
+        },
 
-        dependencies.logger.debug({
-          action: action,
-          buffer: this.buffer
-        }, 'dtmf matched action');
+        previousMenu: function() {
+          this.reader.previousMenu();
+          this.transition('ready');
+        },
 
-        if (action) {
+        _onExit: function() {
           this.buffer = [];
-          this.handle(action, input);
         }
-      }
-    },
-
-    // removes dtmf handler
-    removeDtmfHandler: function() {
-      if (this.currentDtmfHandler) {
-        dependencies.logger.trace('removing dtmfHandler');
+      },
 
-        channel.removeListener('ChannelDtmfReceived',
-                                     this.currentDtmfHandler);
-        this.currentDtmfHandler = null;
-      }
-    },
+      // mailbox options menu
+      'mailboxOptions': {
+        _onEnter: function() {
+          dependencies.logger.trace('In mailboxOptions state');
 
-    // hangup the channel
-    hangup: function() {
-      var self = this;
+          this.playPrompt('mailboxOptions')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing mailbox options prompt');
+            });
+        },
 
-      dependencies.logger.trace('hangup called');
+        changePassword: function() {
+          this.changePassword('mailboxOptions', false);
+        },
 
-      var hangup = Q.denodeify(channel.hangup.bind(channel));
+        recordUnavailable: function() {
+          this.recordGreeting('unavailable', 'recordUnavailableGreeting');
+        },
 
-      hangup()
-        .catch(function(err) {
-          // do nothing
-        });
-    },
+        recordBusy: function() {
+          this.recordGreeting('busy', 'recordBusyGreeting');
+        },
 
-    states : {
-      // bootstrapping
-      'init' : {
-        _onEnter: function() {
-          var self = this;
-          this.buffer = [];
+        recordName: function() {
+          this.recordGreeting('name', 'recordName');
+        },
 
-          dependencies.logger.trace('In init state');
+        recordTemporary: function() {
+          this.recordGreeting('temporary', 'recordTemporaryGreeting');
+        },
 
-          this.currentHangupHandler = this.hangupHandler.bind(this);
-          channel.once('StasisEnd', this.currentHangupHandler);
+        deleteTemporary: function() {
+          var self = this;
 
-          this.currentDtmfHandler = this.dtmfHandler.bind(this);
-          channel.on('ChannelDtmfReceived', this.currentDtmfHandler);
+          dependencies.logger.trace('deleteTemporary called');
 
-          var answer = Q.denodeify(channel.answer.bind(channel));
-          answer()
+          dependencies.dal.greeting.remove(this.mailbox, 'temporary')
             .then(function() {
-              self.transition('auth');
+              dependencies.logger.info('temporary greeting deleted');
+
+              return self.playPrompt('greetingDeleted');
             })
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
-              }, 'error answering channel');
+              }, 'error deleting temporary greeting');
 
-              self.transition('done');
+              self.hangup();
+            });
+        },
+
+        previousMenu: function() {
+          this.reader.previousMenu();
+          this.transition('ready');
+        },
+
+        repeatMenu: function() {
+          this.playPrompt('mailboxOptions')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing mailbox options prompt');
             });
+        },
+
+        _onExit: function() {
+          this.buffer = [];
         }
       },
 
-      // authenticating mailbox
-      'auth': {
+      // entering a new password
+      'enteringNewPassword': {
         _onEnter: function() {
+          dependencies.logger.trace('In enteringNewPassword state');
+
+          this.newPassword = null;
+          this.playPrompt('enterNewPassword')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing enter new password prompt');
+            });
+        },
+
+        submit: function(password) {
           var self = this;
+          var settings = getSettings(domain, dependencies);
+          var reason = checkPassword(password, mailboxNumber,
+                                     settings.passwordPolicy);
 
-          dependencies.logger.trace('In auth state');
+          dependencies.logger.trace('submit called');
 
-          this.auth = dependencies.auth.create(channel);
+          if (reason) {
+            dependencies.logger.info({
+              reason: reason
+            }, 'new password rejected');
+
+            this.playPrompt(reason)
+              .then(function() {
+                return self.playPrompt('enterNewPassword');
+              })
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing password rejected prompt');
+              });
+
+            return;
+          }
+
+          this.newPassword = password;
+          this.transition('confirmingNewPassword');
+        },
 
-          this.auth.init(domain, mailboxNumber)
-            .then(function(mailbox) {
-              self.mailbox = mailbox;
+        previousMenu: function() {
+          this.cancelPasswordChange();
+        },
+
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
+
+      // entering the new password again
+      'confirmingNewPassword': {
+        _onEnter: function() {
+          dependencies.logger.trace('In confirmingNewPassword state');
+
+          this.playPrompt('confirmNewPassword')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing confirm new password prompt');
+            });
+        },
+
+        submit: function(password) {
+          var self = this;
+
+          dependencies.logger.trace('submit called');
+
+          if (password !== this.newPassword) {
+            dependencies.logger.info('new passwords do not match');
+
+            this.playPrompt('passwordMismatch')
+              .then(function() {
+                self.transition('enteringNewPassword');
+              })
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing password mismatch prompt');
+              });
+
+            return;
+          }
+
+          dependencies.dal.mailbox.changePassword(this.mailbox, password)
+            .then(function() {
+              dependencies.logger.info('password changed');
 
-              self.transition('waitingForAuth');
+              return self.playPrompt('passwordChanged');
+            })
+            .then(function() {
+              // caller hung up while the password was being changed
+              if (self.state === 'confirmingNewPassword') {
+                self.transition(self.passwordChange.returnState);
+              }
             })
             .catch(function(err) {
-              // for now, hangup on any error
               dependencies.logger.error({
                 err: err
-              }, 'error initializing authenticator');
+              }, 'error changing password');
 
               self.hangup();
             });
         },
 
-        authenticate: function() {
-          dependencies.logger.trace({
-            state: this.state
-          }, 'Deferring authenticate until waitingForAuth');
+        previousMenu: function() {
+          this.cancelPasswordChange();
+        },
 
-          this.deferUntilTransition('waitingForAuth');
+        _onExit: function() {
+          this.buffer = [];
+          this.newPassword = null;
         }
       },
 
-      // waiting for authentication
-      'waitingForAuth': {
+      // bridged with an outbound call to the sender of the current message
+      'callingBack': {
         _onEnter: function() {
-          dependencies.logger.trace('In waitingForAuth state');
-        },
-
-        authenticate: function(password) {
           var self = this;
+          var settings = getSettings(domain, dependencies);
+          var client = dependencies.client;
+          var outbound = client.Channel();
+          var bridge = client.Bridge();
 
-          dependencies.logger.trace('authenticate called');
+          dependencies.logger.trace('In callingBack state');
 
-          this.auth.authenticate(password)
-            .then(function() {
-              self.reader = dependencies.mailbox.createReader(
-                self.mailbox,
-                channel
-              );
+          this.callback = {
+            channel: outbound,
+            bridge: bridge,
+            ended: function() {
+              dependencies.logger.info('callback ended');
 
               self.transition('ready');
-            })
+            }
+          };
+
+          outbound.once('ChannelDestroyed', this.callback.ended);
+          outbound.once('StasisStart', function() {
+            var create = Q.denodeify(bridge.create.bind(bridge));
+            var addChannel = Q.denodeify(bridge.addChannel.bind(bridge));
+
+            create({type: 'mixing'})
+              .then(function() {
+                return addChannel({channel: [channel.id, outbound.id]});
+              })
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error bridging callback');
+
+                if (self.state === 'callingBack') {
+                  self.transition('ready');
+                }
+              });
+          });
+
+          var originate = Q.denodeify(outbound.originate.bind(outbound));
+          var endpoint = settings.callbackEndpoint.replace(
+            '{number}', this.callbackNumber);
+
+          originate({
+            endpoint: endpoint,
+            app: options.application,
+            appArgs: CALLBACK_APP_ARGS
+          })
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
-              }, 'error authenticating');
+              }, 'error originating callback');
 
-              if (err.name !== 'InvalidPassword') {
-                self.hangup();
+              // caller hung up while the callback was being placed
+              if (self.state !== 'callingBack') {
+                return;
               }
+
+              self.transition('ready');
+              self.playPrompt('callbackFailed')
+                .catch(function(err) {
+                  dependencies.logger.error({
+                    err: err
+                  }, 'error playing callback failed prompt');
+                });
             });
         },
 
         _onExit: function() {
           this.buffer = [];
+          this.endCallback();
         }
       },
 
-      // ready to receive input
-      'ready' : {
+      // entering recipients for a new message
+      'addingRecipients': {
         _onEnter: function() {
-          dependencies.logger.trace('In ready state');
+          dependencies.logger.trace('In addingRecipients state');
+
+          this.recipients = [];
+          this.playPrompt('enterRecipient')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing enter recipient prompt');
+            });
         },
 
-        first: function() {
-          dependencies.logger.trace('first called');
+        submit: function(digits) {
+          var self = this;
 
-          this.reader.first();
-        },
+          dependencies.logger.trace('submit called');
 
-        replay: function() {
-          dependencies.logger.trace('replay called');
+          this.findRecipients(digits)
+            .then(function(mailboxes) {
+              if (!mailboxes.length) {
+                dependencies.logger.info({
+                  recipient: digits
+                }, 'unknown recipient entered');
 
-          this.reader.replay();
-        },
+                return self.playPrompt('invalidRecipient');
+              }
 
-        next: function() {
-          dependencies.logger.trace('next called');
+              mailboxes.forEach(function(mailbox) {
+                var added = self.recipients.some(function(recipient) {
+                  return recipient.mailboxNumber === mailbox.mailboxNumber;
+                });
 
-          this.reader.next();
-        },
+                if (!added) {
+                  self.recipients.push(mailbox);
+                }
+              });
 
-        prev: function() {
-          dependencies.logger.trace('prev called');
+              return self.playPrompt('recipientAdded');
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error finding recipient');
 
-          this.reader.prev();
+              self.hangup();
+            });
         },
 
-        'delete': function() {
-          dependencies.logger.trace('delete called');
-
-          this.reader.delete();
+        record: function() {
+          dependencies.logger.trace('record called');
+
+          if (!this.recipients.length) {
+            this.playPrompt('enterRecipient')
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'error playing enter recipient prompt');
+              });
+            return;
+          }
+
+          this.startRecording({
+            prompt: 'recordMessage',
+            onAccept: this.sendMessage.bind(this, this.recipients),
+            cancelState: 'ready'
+          });
         },
 
         previousMenu: function() {
           this.reader.previousMenu();
+          this.transition('ready');
         },
 
-        repeatMenu: function() {
-          this.reader.repeatMenu();
-        },
+        _onExit: function() {
+          this.buffer = [];
+        }
+      },
 
-        changeFolder: function() {
-          dependencies.logger.trace('changeFolder called');
+      // recording from the caller
+      'recording': {
+        _onEnter: function() {
+          var self = this;
 
-          this.reader.changeFolder();
-          this.transition('changingFolder');
+          dependencies.logger.trace('In recording state');
+
+          this.recording = null;
+          this.playPrompt(this.recordingRequest.prompt)
+            .then(function() {
+              // nothing would cancel a recording started after leaving
+              if (self.state === 'recording') {
+                return self.record();
+              }
+            })
+            .then(function(recording) {
+              if (self.state === 'recording') {
+                self.recording = recording;
+                self.transition('reviewingRecording');
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error recording');
+
+              self.hangup();
+            });
         },
 
         _onExit: function() {
           this.buffer = [];
+          this.discardLiveRecording();
         }
       },
 
-      // changing folder
-      'changingFolder': {
+      // reviewing a recording before accepting it
+      'reviewingRecording': {
         _onEnter: function() {
-          dependencies.logger.trace('In changingFolder state');
+          dependencies.logger.trace('In reviewingRecording state');
+
+          this.playPrompt('reviewRecording')
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'error playing review recording prompt');
+            });
         },
 
-        submit: function(option) {
-          var self = this;
+        accept: function() {
+          var recording = this.recording;
 
-          dependencies.logger.trace('submit called');
+          dependencies.logger.trace('accept called');
 
-          this.reader.submitFolder(option)
-            .then(function() {
-              self.transition('ready');
-            })
+          if (!recording) {
+            return;
+          }
+
+          // an accepted recording is kept when leaving the state
+          this.recording = null;
+          this.recordingRequest.onAccept(recording);
+        },
+
+        review: function() {
+          var play = Q.denodeify(channel.play.bind(channel));
+
+          dependencies.logger.trace('review called');
+
+          if (!this.recording) {
+            return;
+          }
+
+          play({media: 'recording:' + this.recording.name})
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
-              }, 'error submitting folder');
-
-              self.hangup();
+              }, 'error playing recording');
             });
         },
 
-        previousMenu: function() {
-            this.reader.previousMenu();
-            this.transition('ready');
+        rerecord: function() {
+          dependencies.logger.trace('rerecord called');
+
+          this.transition('recording');
         },
 
-        repeatMenu: function() {
-            this.reader.repeatMenu();
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.transition(this.recordingRequest.cancelState);
         },
 
         _onExit: function() {
           this.buffer = [];
+          // re-recorded, cancelled or abandoned takes
+          this.discardRecording();
         }
       },
 
@@ -305,6 +2645,14 @@ function fsm(domain, mailboxNumber, channel, dependencies) {
           // cleanup
           this.removeHangupHandler();
           this.removeDtmfHandler();
+          this.clearInterDigitTimer();
+          this.clearInactivityTimer();
+          this.clearSessionTimers();
+          this.commitDeletions();
+
+          if (!this.hungup && !this.continuingInDialplan) {
+            this.hangup();
+          }
         },
 
         '*': function() {
@@ -319,22 +2667,43 @@ function fsm(domain, mailboxNumber, channel, dependencies) {
 
 /**
  * Initializes a state machine for controlling a voicemail main application.
+ * The Stasis args are the domain, an optional mailbox number and an optional
+ * VoiceMailMain style option string. The outbound leg of a callback enters
+ * the same Stasis application and is left to the bridge it is added to, so
+ * no state machine is returned for it.
  *
  * @param {object} startEvent - StasisStart event
  * @param {Channel} channel - a channel instance
  * @param {object} dependencies - object keyed by module dependencies
+ * @returns {machina.Fsm} fsm - a finite state machine instance, if any
  */
 function create(startEvent, channel, dependencies) {
+  if (startEvent.args[0] === CALLBACK_APP_ARGS) {
+    return;
+  }
+
   var domain = startEvent.args[0];
   var mailboxNumber = startEvent.args[1];
+  var options = parseOptions(startEvent.args[2]);
+  // outbound calls are placed into the same Stasis application
+  options.application = startEvent.application;
+
+  // mailbox argument is only a prefix to what the caller enters
+  if (options.prefix) {
+    options.mailboxPrefix = mailboxNumber;
+    mailboxNumber = undefined;
+  }
   dependencies.logger = dependencies.logger.child({
     component: 'voicemail-main-fsm',
     channel: channel
   });
 
-  fsm(domain, mailboxNumber, channel, dependencies);
+  var fsmInstance = fsm(domain, mailboxNumber, options, channel,
+                        dependencies);
 
   dependencies.logger.info('Voicemail main fsm created');
+
+  return fsmInstance;
 }
 
 /**
@@ -346,7 +2715,7 @@ function create(startEvent, channel, dependencies) {
 module.exports = function(dependencies) {
   return {
     create: function(startEvent, channel) {
-      create(startEvent, channel, dependencies);
+      return create(startEvent, channel, dependencies);
     }
   };
 };
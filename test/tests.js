@@ -25,8 +25,47 @@ var readerOperations = [];
 var hungup = false;
 // used to test whether channel was answered
 var answered = false;
+// channel variables set on the mock channel
+var channelVars = {};
+// dialplan location the mock channel continued to
+var continuedTo;
+// media played and recordings made directly on the mock channel
+var mediaPlayed = [];
+var recordings = [];
+// message the mock reader is positioned on, and the other message in the
+// current folder
+var currentMessage;
+var otherMessage;
+// outbound channels and bridges created, and stored recordings deleted,
+// through the mock client
+var outboundChannels = [];
+var bridges = [];
+var deletedRecordings = [];
+// passwords and greetings saved through the mock dal
+var passwordsChanged = [];
+var greetings = {};
+// messages forwarded and sent through the mock dal
+var forwardedMessages = [];
+var sentMessages = [];
+var movedMessages = [];
+var removedMessages = [];
+var batches = [];
+var urgentChanges = [];
+var unreadMessages = [];
 // used to test whether user has authenticated
 var authenticated = false;
+// keeps track of which passwords have been submitted
+var passwordsTried = [];
+// keeps track of which prompts have been played
+var promptsPlayed = [];
+// failed logins and mailbox locks stored through the mock dal
+var loginFailures = [];
+var mailboxLocks = [];
+// settings of the mailbox and its message counts returned by the mocks
+var mailboxSettings = {};
+var messageCounts = {};
+// options the mock mailbox reader was created with
+var readerOptions;
 // milliseconds to delay async ops for mock requests
 var asyncDelay = 100;
 // milliseconds to delay async ops that should take longer
@@ -46,10 +85,83 @@ var getMockClient = function(createNew) {
   }
 
   var Client = function() {
+    this.id = 'channel-1';
+
     this.getChannel = function() {
       return this;
     };
 
+    // creates an outbound channel
+    this.Channel = function() {
+      var outbound = new Emitter();
+      outbound.id = 'channel-' + (outboundChannels.length + 2);
+      outboundChannels.push(outbound);
+
+      outbound.originate = function(options, cb) {
+        outbound.endpoint = options.endpoint;
+
+        setTimeout(function() {
+          cb(null);
+
+          setTimeout(function() {
+            outbound.emit('StasisStart');
+          }, asyncDelay);
+        }, asyncDelay);
+      };
+
+      outbound.hangup = function(cb) {
+        outbound.hungup = true;
+
+        setTimeout(function() {
+          cb(null);
+        }, asyncDelay);
+      };
+
+      return outbound;
+    };
+
+    // creates a bridge
+    this.Bridge = function() {
+      var bridge = new Emitter();
+      bridge.channels = [];
+      bridges.push(bridge);
+
+      bridge.create = function(options, cb) {
+        setTimeout(function() {
+          cb(null);
+        }, asyncDelay);
+      };
+
+      bridge.addChannel = function(options, cb) {
+        bridge.channels = bridge.channels.concat(options.channel);
+
+        setTimeout(function() {
+          cb(null);
+        }, asyncDelay);
+      };
+
+      bridge.destroy = function(cb) {
+        bridge.destroyed = true;
+
+        setTimeout(function() {
+          cb(null);
+        }, asyncDelay);
+      };
+
+      return bridge;
+    };
+
+    // stored recordings
+    this.recordings = {
+      deleteStored: function(options, cb) {
+        deletedRecordings.push(options.recordingName);
+
+        setTimeout(function() {
+          cb(null);
+        }, asyncDelay);
+      }
+    };
+
     // actually cahnnel.answer (will get denodeified)
     this.answer = function(cb) {
       answered = true;
@@ -59,6 +171,58 @@ var getMockClient = function(createNew) {
       }, asyncDelay);
     };
 
+    // actually channel.setChannelVar (will get denodeified)
+    this.setChannelVar = function(options, cb) {
+      channelVars[options.variable] = options.value;
+
+      setTimeout(function() {
+        cb(null);
+      }, asyncDelay);
+    };
+
+    // actually channel.continueInDialplan (will get denodeified)
+    this.continueInDialplan = function(options, cb) {
+      var self = this;
+
+      setTimeout(function() {
+        continuedTo = options;
+        self.emit('StasisEnd');
+        cb(null);
+      }, asyncDelay);
+    };
+
+    // actually channel.play (will get denodeified)
+    this.play = function(options, cb) {
+      mediaPlayed.push(options.media);
+
+      setTimeout(function() {
+        cb(null);
+      }, asyncDelay);
+    };
+
+    // actually channel.record (will get denodeified)
+    this.record = function(options, cb) {
+      var recording = new Emitter();
+      recording.name = options.name;
+      recordings.push(recording);
+
+      recording.cancel = function(cb) {
+        recording.cancelled = true;
+
+        setTimeout(function() {
+          cb(null);
+        }, asyncDelay);
+      };
+
+      setTimeout(function() {
+        cb(null, recording);
+
+        setTimeout(function() {
+          recording.emit('RecordingFinished');
+        }, longAsyncDelay);
+      }, asyncDelay);
+    };
+
     // actually channel.hangup (will get denodeified)
     this.hangup = function(cb) {
       var self = this;
@@ -81,40 +245,231 @@ var getMockClient = function(createNew) {
  * Returns a mock config for testing.
  */
 var getMockConfig = function() {
+  var appConfig = {
+    prompts: {
+      mailboxReader: {
+        invalidPassword: 'vm-invalid-password',
+        mailboxLocked: 'vm-mailbox-locked',
+        sessionWarning: 'vm-session-warning',
+        noCurrentMessage: 'vm-no-current-message',
+        enterForwardMailbox: 'vm-enter-forward-mailbox',
+        confirmForward: 'vm-confirm-forward',
+        recordIntroduction: 'vm-record-introduction',
+        reviewRecording: 'vm-review-recording',
+        messageForwarded: 'vm-message-forwarded',
+        recordReply: 'vm-record-reply',
+        replyUnavailable: 'vm-reply-unavailable',
+        messageSent: 'vm-message-sent',
+        enterRecipient: 'vm-enter-recipient',
+        invalidRecipient: 'vm-invalid-recipient',
+        recipientAdded: 'vm-recipient-added',
+        recordMessage: 'vm-record-message',
+        callbackNotAllowed: 'vm-callback-not-allowed',
+        callbackFailed: 'vm-callback-failed',
+        mailboxOptions: 'vm-mailbox-options',
+        enterNewPassword: 'vm-enter-new-password',
+        confirmNewPassword: 'vm-confirm-new-password',
+        passwordTooShort: 'vm-password-too-short',
+        passwordIsMailbox: 'vm-password-is-mailbox',
+        passwordRepeated: 'vm-password-repeated',
+        passwordSequential: 'vm-password-sequential',
+        passwordMismatch: 'vm-password-mismatch',
+        passwordChanged: 'vm-password-changed',
+        passwordRequired: 'vm-password-required',
+        tutorialIntro: 'vm-tutorial-intro',
+        youHave: 'vm-youhave',
+        newMessage: 'vm-new-message',
+        newMessages: 'vm-new-messages',
+        oldMessage: 'vm-old-message',
+        oldMessages: 'vm-old-messages',
+        and: 'vm-and',
+        envelope: 'vm-envelope',
+        urgentMessage: 'vm-urgent-message',
+        urgentMessages: 'vm-urgent-messages',
+        urgent: 'vm-urgent',
+        messageMarkedUrgent: 'vm-marked-urgent',
+        messageUnmarkedUrgent: 'vm-unmarked-urgent',
+        messageMarkedUnread: 'vm-marked-unread',
+        invalidMessageNumber: 'vm-invalid-message-number',
+        folderOperations: 'vm-folder-operations',
+        moveAllToFolder: 'vm-move-all-to-folder',
+        confirmFolderOperation: 'vm-confirm-folder-operation',
+        folderOperationComplete: 'vm-folder-operation-complete',
+        folderOperationIncomplete: 'vm-folder-operation-incomplete',
+        messageDeleted: 'vm-message-deleted',
+        messageUndeleted: 'vm-message-undeleted',
+        saveToFolder: 'vm-save-to-folder',
+        invalidFolder: 'vm-invalid-folder',
+        messageSaved: 'vm-message-saved',
+        'envelope.fr': 'vm-envelope-fr',
+        recordUnavailableGreeting: 'vm-record-unavailable',
+        recordBusyGreeting: 'vm-record-busy',
+        recordName: 'vm-record-name',
+        recordTemporaryGreeting: 'vm-record-temporary',
+        greetingSaved: 'vm-greeting-saved',
+        greetingDeleted: 'vm-greeting-deleted',
+        enterMailbox: 'vm-enter-mailbox',
+        invalidMailbox: 'vm-invalid-mailbox',
+        goodbye: 'vm-goodbye'
+      }
+    },
+
+    inputs: {
+      mailboxReader: {
+        collectingMailbox: {
+          regex: {
+            match: '^\\d+$',
+            action: 'submit'
+          },
+          terminator: '#'
+        },
+
+        waitingForAuth: {
+          regex: {
+            match: '\\d{4}',
+            action: 'authenticate'
+          },
+          '*': 'operator'
+        },
+
+        changingFolder: {
+          regex: {
+            match: '\\d',
+            action: 'submit'
+          },
+          '#': 'previousMenu',
+          '*': 'repeatMenu'
+        },
+
+        folderOperations: {
+          '1': 'deleteAll',
+          '2': 'markAllRead',
+          '3': 'moveAll',
+          '#': 'previousMenu',
+          '*': 'repeatMenu'
+        },
+
+        choosingMoveFolder: {
+          regex: {
+            match: '\\d',
+            action: 'submit'
+          },
+          '#': 'previousMenu'
+        },
+
+        confirmingFolderOperation: {
+          '1': 'confirm',
+          '#': 'previousMenu'
+        },
+
+        savingToFolder: {
+          regex: {
+            match: '\\d',
+            action: 'submit'
+          },
+          '#': 'previousMenu',
+          '*': 'repeatMenu'
+        },
+
+        forwardingMessage: {
+          regex: {
+            match: '^\\d+$',
+            action: 'submit'
+          },
+          terminator: '#',
+          '#': 'previousMenu'
+        },
+
+        confirmingForward: {
+          '1': 'recordIntroduction',
+          '2': 'send',
+          '#': 'previousMenu'
+        },
+
+        addingRecipients: {
+          regex: {
+            match: '^\\d+$',
+            action: 'submit'
+          },
+          terminator: '#',
+          '*': 'record',
+          '#': 'previousMenu'
+        },
+
+        mailboxOptions: {
+          '1': 'recordUnavailable',
+          '2': 'recordBusy',
+          '3': 'recordName',
+          '4': 'recordTemporary',
+          '5': 'changePassword',
+          '6': 'deleteTemporary',
+          '#': 'previousMenu',
+          '*': 'repeatMenu'
+        },
+
+        enteringNewPassword: {
+          regex: {
+            match: '^\\d+$',
+            action: 'submit'
+          },
+          terminator: '#',
+          '*': 'previousMenu'
+        },
+
+        confirmingNewPassword: {
+          regex: {
+            match: '^\\d+$',
+            action: 'submit'
+          },
+          terminator: '#',
+          '*': 'previousMenu'
+        },
+
+        reviewingRecording: {
+          '1': 'accept',
+          '2': 'review',
+          '3': 'rerecord',
+          '#': 'cancel'
+        },
+
+        ready: {
+          regex: {
+            match: '^38(\\d+)#$',
+            action: 'gotoMessage'
+          },
+          '1': 'first',
+          '2': 'changeFolder',
+          '4': 'prev',
+          '5': 'replay',
+          '6': 'next',
+          '7': 'delete',
+          '8': 'forward',
+          '31': 'reply',
+          '32': 'callback',
+          '30': 'operator',
+          '0': 'mailboxOptions',
+          '33': 'envelope',
+          '9': 'save',
+          'A': 'skipBack',
+          'B': 'pause',
+          'C': 'skipForward',
+          'D': 'speedUp',
+          '34': 'slowDown',
+          '36': 'toggleUrgent',
+          '37': 'markUnread',
+          '3*': 'folderOperations',
+          '35': 'compose',
+          '39': 'exit',
+          '#': 'previousMenu',
+          '*': 'repeatMenu'
+        }
+      }
+    }
+  };
+
   return {
     getAppConfig: function() {
-      return {
-        inputs: {
-          mailboxReader: {
-            waitingForAuth: {
-              regex: {
-                match: '\\d{4}',
-                action: 'authenticate'
-              }
-            },
-
-            changingFolder: {
-              regex: {
-                match: '\\d',
-                action: 'submit'
-              },
-              '#': 'previousMenu',
-              '*': 'repeatMenu'
-            },
-
-            ready: {
-              '1': 'first',
-              '2': 'changeFolder',
-              '4': 'prev',
-              '5': 'replay',
-              '6': 'next',
-              '7': 'delete',
-              '#': 'previousMenu',
-              '*': 'repeatMenu'
-            }
-          }
-        }
-      };
+      return appConfig;
     }
   };
 };
@@ -131,9 +486,15 @@ var getMockAuth = function() {
 
           setTimeout(function() {
             if (domain === 'domain.com') {
-              innerDeferred.resolve({
+              var mailbox = {
                 mailboxNumber: '1234'
+              };
+
+              Object.keys(mailboxSettings).forEach(function(key) {
+                mailbox[key] = mailboxSettings[key];
               });
+
+              innerDeferred.resolve(mailbox);
             } else {
               innerDeferred.reject(new Error('ContextNotFound'));
             }
@@ -145,12 +506,16 @@ var getMockAuth = function() {
         authenticate: function(password) {
           var innerDeferred = Q.defer();
 
+          passwordsTried.push(password);
+
           setTimeout(function() {
             if (password === '1111') {
               authenticated = true;
               innerDeferred.resolve();
             } else {
-              innerDeferred.reject(new Error('InvalidPassword'));
+              var err = new Error('Invalid password');
+              err.name = 'InvalidPassword';
+              innerDeferred.reject(err);
             }
           }, asyncDelay);
 
@@ -168,32 +533,88 @@ var getMockAuth = function() {
  */
 var getMockMailboxHelper = function() {
   var mailboxHelper = {
-    createReader: function() {
+    createReader: function(mailbox, channel, options) {
+      readerOptions = options;
+
       return {
-        first: function() {
+        first: function(beforePlay) {
           readerOperations.push('first');
+
+          if (beforePlay) {
+            beforePlay(currentMessage);
+          }
         },
 
         replay: function() {
           readerOperations.push('replay');
         },
 
-        next: function() {
+        next: function(beforePlay) {
           readerOperations.push('next');
+
+          if (beforePlay) {
+            beforePlay(currentMessage);
+          }
         },
 
-        prev: function() {
+        prev: function(beforePlay) {
           readerOperations.push('prev');
-        },
 
-        'delete': function() {
-          readerOperations.push('delete');
+          if (beforePlay) {
+            beforePlay(currentMessage);
+          }
         },
 
         'changeFolder': function() {
           readerOperations.push('changeFolder');
         },
 
+        skipForward: function(seconds) {
+          readerOperations.push('skipForward:' + seconds);
+        },
+
+        skipBack: function(seconds) {
+          readerOperations.push('skipBack:' + seconds);
+        },
+
+        pause: function() {
+          readerOperations.push('pause');
+        },
+
+        speedUp: function() {
+          readerOperations.push('speedUp');
+        },
+
+        slowDown: function() {
+          readerOperations.push('slowDown');
+        },
+
+        getMessages: function() {
+          return [currentMessage, otherMessage];
+        },
+
+        refresh: function() {
+          readerOperations.push('refresh');
+
+          return Q.delay(asyncDelay);
+        },
+
+        getMessageCount: function() {
+          return 40;
+        },
+
+        gotoMessage: function(number, beforePlay) {
+          readerOperations.push('gotoMessage:' + number);
+
+          if (beforePlay) {
+            beforePlay(currentMessage);
+          }
+        },
+
+        getFolder: function(option) {
+          return ['INBOX', 'Old', 'Work', 'Family', 'Friends'][option];
+        },
+
         'submitFolder': function() {
           var defer = Q.defer();
 
@@ -211,6 +632,10 @@ var getMockMailboxHelper = function() {
 
         repeatMenu: function() {
           readerOperations.push('repeatMenu');
+        },
+
+        getCurrentMessage: function() {
+          return currentMessage;
         }
       };
     }
@@ -219,6 +644,232 @@ var getMockMailboxHelper = function() {
   return mailboxHelper;
 };
 
+/**
+ * Returns a mock prompt helper for testing.
+ */
+var getMockPrompt = function() {
+  var promptHelper = {
+    create: function(sounds) {
+      return {
+        play: function() {
+          var defer = Q.defer();
+
+          setTimeout(function() {
+            promptsPlayed.push(sounds);
+            defer.resolve(true);
+          }, asyncDelay);
+
+          return defer.promise;
+        }
+      };
+    }
+  };
+
+  return promptHelper;
+};
+
+/**
+ * Returns a mock data access layer for testing.
+ */
+var getMockDal = function() {
+  var dal = {
+    context: {
+      get: function(domain) {
+        return Q.delay(asyncDelay).then(function() {
+          if (domain === 'domain.com') {
+            return {domain: domain};
+          }
+        });
+      }
+    },
+
+    mailbox: {
+      get: function(mailboxNumber, context) {
+        return Q.delay(asyncDelay).then(function() {
+          if (mailboxNumber === '1234' || mailboxNumber === '5678') {
+            return {mailboxNumber: mailboxNumber};
+          }
+        });
+      },
+
+      changePassword: function(mailbox, password) {
+        passwordsChanged.push(password);
+
+        return Q.delay(asyncDelay);
+      },
+
+      setSetupPending: function(mailbox, pending) {
+        mailboxSettings.setupPending = pending;
+
+        return Q.delay(asyncDelay);
+      }
+    },
+
+    loginFailure: {
+      create: function(domain, mailboxNumber, date) {
+        loginFailures.push({
+          domain: domain,
+          mailboxNumber: mailboxNumber,
+          date: date
+        });
+
+        return Q.delay(asyncDelay);
+      },
+
+      countSince: function(domain, mailboxNumber, since) {
+        var count = loginFailures.filter(function(failure) {
+          return failure.domain === domain &&
+                 failure.mailboxNumber === mailboxNumber &&
+                 failure.date >= since;
+        }).length;
+
+        return Q.delay(asyncDelay).then(function() {
+          return count;
+        });
+      }
+    },
+
+    message: {
+      count: function(mailbox) {
+        return Q.delay(asyncDelay)
+          .then(function() {
+            return {
+              urgentMessages: messageCounts.urgentMessages || 0,
+              newMessages: messageCounts.newMessages || 0,
+              oldMessages: messageCounts.oldMessages || 0
+            };
+          });
+      },
+
+      batch: function(messages, operation) {
+        batches.push({
+          messages: messages,
+          operation: operation
+        });
+
+        return Q.delay(asyncDelay)
+          .then(function() {
+            return messages.filter(function(message) {
+              return message.id === 'locked';
+            });
+          });
+      },
+
+      setUrgent: function(message, urgent) {
+        urgentChanges.push(urgent);
+
+        return Q.delay(asyncDelay);
+      },
+
+      markUnread: function(message) {
+        unreadMessages.push(message);
+
+        return Q.delay(asyncDelay);
+      },
+
+      remove: function(messages) {
+        return Q.delay(asyncDelay)
+          .then(function() {
+            if (messages.some(function(message) {
+              return message.id === 'locked';
+            })) {
+              throw new Error('Message is locked');
+            }
+
+            removedMessages = removedMessages.concat(messages);
+          });
+      },
+
+      changeFolder: function(message, folder) {
+        movedMessages.push({
+          message: message,
+          folder: folder
+        });
+
+        return Q.delay(asyncDelay);
+      },
+
+      forward: function(message, mailbox, introduction) {
+        forwardedMessages.push({
+          message: message,
+          mailbox: mailbox,
+          introduction: introduction
+        });
+
+        return Q.delay(asyncDelay);
+      },
+
+      send: function(recording, recipients, sender) {
+        sentMessages.push({
+          recording: recording,
+          recipients: recipients,
+          sender: sender
+        });
+
+        return Q.delay(asyncDelay);
+      }
+    },
+
+    greeting: {
+      get: function(mailbox, type) {
+        return Q.delay(asyncDelay)
+          .then(function() {
+            return greetings[type];
+          });
+      },
+
+      save: function(mailbox, type, recording) {
+        greetings[type] = recording;
+
+        return Q.delay(asyncDelay);
+      },
+
+      remove: function(mailbox, type) {
+        greetings[type] = null;
+
+        return Q.delay(asyncDelay);
+      }
+    },
+
+    trustedNumber: {
+      all: function(mailbox) {
+        return Q.delay(asyncDelay).then(function() {
+          if (mailbox.mailboxNumber === '1234') {
+            return ['5550000'];
+          }
+
+          return [];
+        });
+      }
+    },
+
+    mailboxLock: {
+      create: function(domain, mailboxNumber, until) {
+        mailboxLocks.push({
+          domain: domain,
+          mailboxNumber: mailboxNumber,
+          until: until
+        });
+
+        return Q.delay(asyncDelay);
+      },
+
+      get: function(domain, mailboxNumber) {
+        var lock = mailboxLocks.filter(function(candidate) {
+          return candidate.domain === domain &&
+                 candidate.mailboxNumber === mailboxNumber;
+        }).pop();
+
+        return Q.delay(asyncDelay).then(function() {
+          return lock;
+        });
+      }
+    }
+  };
+
+  return dal;
+};
+
 /**
  * Returns a mock logger for testing.
  */
@@ -242,9 +893,12 @@ var getMockLogger = function() {
  */
 var getMockDependencies = function() {
   var dependencies = {
+    client: getMockClient(),
     config: getMockConfig(),
+    dal: getMockDal(),
     auth: getMockAuth(),
     mailbox: getMockMailboxHelper(),
+    prompt: getMockPrompt(),
     logger: getMockLogger()
   };
 
@@ -265,6 +919,34 @@ var getMockStartEvent = function() {
   return startEvent;
 };
 
+/**
+ * Returns a mock StasisStart event without a mailbox number for testing.
+ */
+var getMockNoMailboxStartEvent = function() {
+  var startEvent = {
+    args: [
+      'domain.com'
+    ]
+  };
+
+  return startEvent;
+};
+
+/**
+ * Returns a mock StasisStart event with an option string for testing.
+ */
+var getMockOptionsStartEvent = function(mailboxNumber, optionString) {
+  var startEvent = {
+    args: [
+      'domain.com',
+      mailboxNumber,
+      optionString
+    ]
+  };
+
+  return startEvent;
+};
+
 /**
  * Returns a mock bad StasisStart event for testing (incorrect domain/mailbox).
  */
@@ -427,16 +1109,70 @@ var submitFolder = function(folder) {
   return defer.promise;
 };
 
+/**
+ * Send a sequence of dtmfs.
+ */
+var sendDigits = function(digits) {
+  var defer = Q.defer();
+
+  setTimeout(function() {
+    digits.split('').forEach(function(digit) {
+      getMockClient().emit('ChannelDtmfReceived', {digit: digit});
+    });
+
+    defer.resolve();
+  }, asyncDelay);
+
+  return defer.promise;
+};
+
 describe('voicemail-main-fsm', function() {
 
   beforeEach(function(done) {
+    otherMessage = {
+      id: 'message-2',
+      callerId: '"Alice" <5678>'
+    };
+    currentMessage = {
+      id: 'message-1',
+      callerId: '"Bob" <1234>',
+      date: new Date(2014, 6, 14, 15, 5).toISOString(),
+      duration: 75
+    };
+    greetings = {
+      name: {}
+    };
+
     done();
   });
 
   afterEach(function(done) {
     hungup = false;
     answered = false;
+    channelVars = {};
+    continuedTo = undefined;
+    mediaPlayed = [];
+    recordings = [];
+    forwardedMessages = [];
+    sentMessages = [];
+    movedMessages = [];
+    removedMessages = [];
+    batches = [];
+    urgentChanges = [];
+    unreadMessages = [];
+    passwordsChanged = [];
+    greetings = {};
+    mailboxSettings = {};
+    readerOptions = undefined;
+    messageCounts = {};
+    outboundChannels = [];
+    bridges = [];
+    deletedRecordings = [];
     authenticated = false;
+    passwordsTried = [];
+    promptsPlayed = [];
+    loginFailures = [];
+    mailboxLocks = [];
     readerOperations = [];
 
     done();
@@ -702,6 +1438,12 @@ describe('voicemail-main-fsm', function() {
       .then(function() {
         return deleteMessage();
       })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
       .then(function() {
         checkSucess();
       })
@@ -712,9 +1454,10 @@ describe('voicemail-main-fsm', function() {
      */
     function checkSucess() {
       setTimeout(function() {
-        var lastOperation = readerOperations.pop();
-
-        if (answered && authenticated && lastOperation === 'delete') {
+        if (answered && authenticated && fsm.state === 'done' &&
+            removedMessages.length === 1 &&
+            removedMessages[0] === currentMessage &&
+            promptsPlayed.indexOf('vm-message-deleted') !== -1) {
           done();
         } else {
           checkSucess();
@@ -862,4 +1605,2304 @@ describe('voicemail-main-fsm', function() {
     }
   });
 
+  it('should support submitting input with a terminator', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    var inputs = dependencies.config.getAppConfig().inputs.mailboxReader;
+    inputs.waitingForAuth.regex.match = '^\\d{4,10}$';
+    inputs.waitingForAuth.terminator = '#';
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        return sendDigits('123456#');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && passwordsTried.length === 1 &&
+            passwordsTried[0] === '123456') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should flush input after inter-digit timeout', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    var inputs = dependencies.config.getAppConfig().inputs.mailboxReader;
+    inputs.waitingForAuth.interDigitTimeout = 0.2;
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        return sendDigits('22');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('1111');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && passwordsTried.length === 1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should play invalid password prompt on bad password', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(false)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && !hungup &&
+            promptsPlayed.indexOf('vm-invalid-password') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should hangup after too many bad passwords', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        maxLoginAttempts: 2
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(false)
+      .then(function() {
+        return sendDigits('2222');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && hungup && passwordsTried.length === 2 &&
+            promptsPlayed.join() ===
+              'vm-invalid-password,vm-invalid-password,vm-goodbye') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should ignore passwords beyond the maximum login attempts',
+     function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        maxLoginAttempts: 3
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    // auth lookup delays entering waitingForAuth
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        return sendDigits('22222222222222222222' + '1111');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && hungup && !authenticated &&
+            passwordsTried.length === 3) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should refuse login to a locked mailbox', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    var lockEvent;
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        lockoutThreshold: 5,
+        lockoutWindow: 600,
+        lockoutDuration: 600
+      }
+    };
+    mailboxLocks.push({
+      domain: 'domain.com',
+      mailboxNumber: '1234',
+      until: new Date(Date.now() + 60000)
+    });
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+    fsm.on('mailboxLocked', function(data) {
+      lockEvent = data;
+    });
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && hungup && !authenticated && lockEvent &&
+            lockEvent.mailboxNumber === '1234' &&
+            promptsPlayed.indexOf('vm-mailbox-locked') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should lock mailbox after repeated login failures', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    var lockEvent;
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        lockoutThreshold: 1,
+        lockoutWindow: 600,
+        lockoutDuration: 600
+      }
+    };
+    loginFailures.push({
+      domain: 'domain.com',
+      mailboxNumber: '1234',
+      date: new Date()
+    });
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+    fsm.on('mailboxLocked', function(data) {
+      lockEvent = data;
+    });
+
+    // lock lookup delays entering waitingForAuth
+    Q.delay(asyncDelay)
+      .then(function() {
+        return authenticate(false);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && hungup && lockEvent && mailboxLocks.length === 1 &&
+            promptsPlayed.indexOf('vm-mailbox-locked') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should lock mailbox for a default duration', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        lockoutThreshold: 1
+      }
+    };
+    loginFailures.push({
+      domain: 'domain.com',
+      mailboxNumber: '1234',
+      date: new Date()
+    });
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    // lock lookup delays entering waitingForAuth
+    Q.delay(asyncDelay)
+      .then(function() {
+        return authenticate(false);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var lock = mailboxLocks[0];
+
+        if (answered && hungup && lock && lock.until > new Date() &&
+            promptsPlayed.indexOf('vm-mailbox-locked') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should collect mailbox number when not given', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockNoMailboxStartEvent(), channel);
+
+    Q.delay(asyncDelay)
+      .then(function() {
+        return sendDigits('99#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('1234#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return authenticate(true);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated &&
+            promptsPlayed.join() === 'vm-enter-mailbox,vm-invalid-mailbox,' +
+                                     'vm-enter-mailbox') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support skipping password with s option', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockOptionsStartEvent('1234', 's'), channel);
+
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        return playFirst();
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && passwordsTried.length === 0 &&
+            readerOperations[0] === 'first') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support start folder and gain options', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockOptionsStartEvent('1234', 'a(1)g(3)'), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated &&
+            readerOperations[0] === 'submitFolder' &&
+            channelVars['VOLUME(TX)'] === '3') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support mailbox prefix with p option', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockOptionsStartEvent('12', 'p'), channel);
+
+    Q.delay(asyncDelay)
+      .then(function() {
+        return sendDigits('34#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return authenticate(true);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated &&
+            promptsPlayed.join() === 'vm-enter-mailbox') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should skip password for trusted caller id', function(done) {
+    var channel = getMockClient(true).getChannel();
+    channel.caller = {number: '5550000'};
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        return playFirst();
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && passwordsTried.length === 0 &&
+            readerOperations[0] === 'first') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support disabling trusted caller id per domain', function(done) {
+    var channel = getMockClient(true).getChannel();
+    channel.caller = {number: '5550000'};
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().domains = {
+      'domain.com': {
+        settings: {
+          mailboxReader: {
+            trustedCallerLogin: false
+          }
+        }
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && passwordsTried.length === 1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should repeat menu then hangup on inactivity', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        inactivityTimeout: 0.2,
+        maxInactivityPrompts: 2
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && hungup &&
+            readerOperations.join() === 'repeatMenu,repeatMenu' &&
+            promptsPlayed.join() === 'vm-goodbye') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should reset inactivity timer on dtmf', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        inactivityTimeout: 0.5
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return changeFolder();
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return repeatCurrentMenu();
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && !hungup &&
+            readerOperations.join() === 'changeFolder,repeatMenu') {
+          channel.emit('StasisEnd');
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should hangup when session reaches maximum duration', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        maxSessionDuration: 1,
+        sessionWarning: 0.5
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && hungup && fsm.state === 'done' &&
+            promptsPlayed.join() === 'vm-session-warning') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support exiting', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('39');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && hungup && fsm.state === 'done' &&
+            promptsPlayed.join() === 'vm-goodbye') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support forwarding a message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('8');
+      })
+      .then(function() {
+        return sendDigits('1234#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('2');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var forwarded = forwardedMessages[0];
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            forwarded && forwarded.message.id === 'message-1' &&
+            forwarded.mailbox.mailboxNumber === '1234' &&
+            !forwarded.introduction &&
+            promptsPlayed.indexOf('vm-message-forwarded') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should stay done after hanging up while forwarding', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('8');
+      })
+      .then(function() {
+        return sendDigits('1234#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('2');
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      if (fsm.state === 'done' && forwardedMessages.length === 1 &&
+          promptsPlayed.indexOf('vm-message-forwarded') === -1) {
+        done();
+      } else {
+        done(new Error('fsm left done after forwarding'));
+      }
+    }
+  });
+
+  it('should support forwarding a message with an introduction',
+        function(done) {
+
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('8');
+      })
+      .then(function() {
+        return sendDigits('1234#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 2);
+      })
+      .then(function() {
+        return sendDigits('2');
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var forwarded = forwardedMessages[0];
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            forwarded && forwarded.introduction === recordings[0] &&
+            mediaPlayed[0] === 'recording:' + recordings[0].name) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support cancelling forwarding a message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('8');
+      })
+      .then(function() {
+        return goToPreviousMenu();
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            readerOperations.join() === 'previousMenu' &&
+            forwardedMessages.length === 0) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support replying to a message', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('31');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 3);
+      })
+      .then(function() {
+        return sendDigits('3');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 3);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var sent = sentMessages[0];
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            recordings.length === 2 && sent &&
+            sent.recording === recordings[1] &&
+            sent.recipients[0].mailboxNumber === '1234' &&
+            promptsPlayed.indexOf('vm-message-sent') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should refuse replying to an external caller', function(done) {
+    var channel = getMockClient(true).getChannel();
+    currentMessage.callerId = '"Alice" <5551234>';
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('31');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            recordings.length === 0 &&
+            promptsPlayed.indexOf('vm-reply-unavailable') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support sending a message to a distribution list',
+        function(done) {
+
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        distributionLists: {
+          '90': ['1234', '5678']
+        }
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('35');
+      })
+      .then(function() {
+        return sendDigits('99#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('90#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('*');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 2);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var sent = sentMessages[0];
+
+        if (answered && authenticated && fsm.state === 'ready' && sent &&
+            sent.recipients.length === 2 &&
+            promptsPlayed.indexOf('vm-invalid-recipient') !== -1 &&
+            promptsPlayed.indexOf('vm-message-sent') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support calling back the sender of a message', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        callbackEndpoint: 'PJSIP/{number}',
+        callbackPatterns: ['^\\d{4}$']
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+    var bridged = false;
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('32');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 2);
+      })
+      .then(function() {
+        var bridge = bridges[0];
+
+        bridged = fsm.state === 'callingBack' &&
+                  bridge.channels.join() === 'channel-1,channel-2';
+        outboundChannels[0].emit('ChannelDestroyed');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && bridged && fsm.state === 'ready' &&
+            outboundChannels[0].endpoint === 'PJSIP/1234' &&
+            bridges[0].destroyed) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should not create an fsm for the outbound leg of a callback',
+     function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create({args: ['dialed']}, channel);
+
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      if (fsm === undefined && !answered && !promptsPlayed.length) {
+        done();
+      } else {
+        done(new Error('fsm created for callback leg'));
+      }
+    }
+  });
+
+  it('should refuse calling back numbers not allowed', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        callbackEndpoint: 'PJSIP/{number}',
+        callbackPatterns: ['^\\d{4}$']
+      }
+    };
+    currentMessage.callerId = '"Alice" <19005551234>';
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('32');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            outboundChannels.length === 0 &&
+            promptsPlayed.indexOf('vm-callback-not-allowed') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should refuse calling back numbers only partly matching a pattern',
+     function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        callbackEndpoint: 'PJSIP/{number}',
+        callbackPatterns: ['1\\d{3}']
+      }
+    };
+    currentMessage.callerId = '"Alice" <19005551234>';
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('32');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            outboundChannels.length === 0 &&
+            promptsPlayed.indexOf('vm-callback-not-allowed') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support transferring to operator', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        operator: {
+          context: 'default',
+          extension: '0',
+          priority: 1
+        }
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('30');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && !hungup && fsm.state === 'done' &&
+            continuedTo && continuedTo.context === 'default' &&
+            continuedTo.extension === '0') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support transferring to operator before login',
+        function(done) {
+
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        operator: {
+          context: 'default',
+          extension: '0',
+          priority: 1
+        }
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    Q.delay(longAsyncDelay)
+      .then(function() {
+        return sendDigits('*');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && !authenticated && !hungup && fsm.state === 'done' &&
+            continuedTo && continuedTo.priority === 1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support changing password', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('05');
+      })
+      .then(function() {
+        return sendDigits('5801#');
+      })
+      .then(function() {
+        return sendDigits('5802#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('5801#');
+      })
+      .then(function() {
+        return sendDigits('5801#');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'mailboxOptions' &&
+            passwordsChanged.join() === '5801' &&
+            promptsPlayed.indexOf('vm-password-mismatch') !== -1 &&
+            promptsPlayed.indexOf('vm-password-changed') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should reject passwords not meeting the policy', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+    var expected = [
+      'vm-password-too-short',
+      'vm-password-is-mailbox',
+      'vm-password-repeated',
+      'vm-password-sequential'
+    ];
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('05');
+      })
+      .then(function() {
+        return sendDigits('12#');
+      })
+      .then(function() {
+        return sendDigits('1234#');
+      })
+      .then(function() {
+        return sendDigits('7777#');
+      })
+      .then(function() {
+        return sendDigits('9876#');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var rejected = promptsPlayed.filter(function(prompt) {
+          return expected.indexOf(prompt) !== -1;
+        });
+
+        if (answered && authenticated &&
+            fsm.state === 'enteringNewPassword' &&
+            passwordsChanged.length === 0 &&
+            rejected.join() === expected.join()) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support recording a greeting', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('01');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 2);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'mailboxOptions' &&
+            greetings.unavailable === recordings[0] &&
+            deletedRecordings.length === 0 &&
+            promptsPlayed.indexOf('vm-greeting-saved') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should delete re-recorded and cancelled recordings', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var name = greetings.name;
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('03');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 2);
+      })
+      .then(function() {
+        return sendDigits('3');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 2);
+      })
+      .then(function() {
+        return sendDigits('#');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'mailboxOptions' &&
+            recordings.length === 2 && greetings.name === name &&
+            deletedRecordings.join() ===
+              [recordings[0].name, recordings[1].name].join()) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support deleting the temporary greeting', function(done) {
+    var channel = getMockClient(true).getChannel();
+    greetings.temporary = {};
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('06');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && greetings.temporary === null &&
+            promptsPlayed.indexOf('vm-greeting-deleted') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should discard recording on hangup', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var name = greetings.name;
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('03');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'done' &&
+            recordings.length === 1 && recordings[0].cancelled &&
+            greetings.name === name) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should not record after hangup during the record prompt',
+     function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('03');
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'done' &&
+            promptsPlayed.indexOf('vm-record-name') !== -1 &&
+            recordings.length === 0) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should go through setup for a new mailbox', function(done) {
+    this.timeout(6000);
+
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        defaultPassword: '1111'
+      }
+    };
+    greetings = {};
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('*');
+      })
+      .then(function() {
+        return sendDigits('5801#');
+      })
+      .then(function() {
+        return sendDigits('5801#');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 3);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay * 4);
+      })
+      .then(function() {
+        return sendDigits('#');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            passwordsChanged.join() === '5801' &&
+            greetings.name === recordings[0] &&
+            greetings.unavailable === undefined &&
+            mailboxSettings.setupPending === false &&
+            promptsPlayed.indexOf('vm-tutorial-intro') !== -1 &&
+            promptsPlayed.indexOf('vm-password-required') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should stay done after hanging up during the setup introduction',
+     function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        defaultPassword: '1111'
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .done();
+    hangupInTutorial();
+
+    /**
+     * hang up as soon as setup starts, while its introduction plays
+     */
+    function hangupInTutorial() {
+      setTimeout(function() {
+        if (fsm.state === 'tutorial') {
+          channel.emit('StasisEnd');
+          Q.delay(longAsyncDelay)
+            .then(function() {
+              checkSucess();
+            })
+            .done();
+        } else {
+          hangupInTutorial();
+        }
+      }, asyncDelay / 10);
+    }
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      if (fsm.state === 'done' &&
+          promptsPlayed.indexOf('vm-enter-new-password') === -1) {
+        done();
+      } else {
+        done(new Error('fsm left done during setup'));
+      }
+    }
+  });
+
+  it('should resume setup where it was left off', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        defaultPassword: '0000'
+      }
+    };
+    greetings = {};
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'recording' &&
+            promptsPlayed.indexOf('vm-record-name') !== -1 &&
+            promptsPlayed.indexOf('vm-enter-new-password') === -1) {
+          channel.emit('StasisEnd');
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should resume unfinished setup after the name is recorded',
+     function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    mailboxSettings.setupPending = true;
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'recording' &&
+            promptsPlayed.indexOf('vm-record-unavailable') !== -1 &&
+            promptsPlayed.indexOf('vm-record-name') === -1) {
+          channel.emit('StasisEnd');
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should announce message counts after login', function(done) {
+    var channel = getMockClient(true).getChannel();
+    mailboxSettings.language = 'fr';
+    messageCounts = {
+      newMessages: 1,
+      oldMessages: 3
+    };
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var expected = [
+          'vm-youhave',
+          'vm-new-message',
+          'vm-and',
+          'vm-old-messages'
+        ];
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            channelVars['CHANNEL(language)'] === 'fr' &&
+            promptsPlayed.join() === expected.join()) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should not announce an empty mailbox', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            promptsPlayed.length === 0) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support playing the envelope', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var replacements;
+    var dependencies = getMockDependencies();
+    var create = dependencies.prompt.create;
+    dependencies.prompt.create = function(sounds, promptChannel, options) {
+      if (sounds === 'vm-envelope') {
+        replacements = options;
+      }
+
+      return create(sounds, promptChannel, options);
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('33');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            promptsPlayed.indexOf('vm-envelope') !== -1 &&
+            replacements.weekday === 1 && replacements.month === 6 &&
+            replacements.day === 14 && replacements.hours12 === 3 &&
+            replacements.minutes === 5 && replacements.period === 'p-m' &&
+            replacements.callerNumber === '1234' &&
+            replacements.durationMinutes === 1 &&
+            replacements.durationSeconds === 15) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should play the envelope automatically', function(done) {
+    var channel = getMockClient(true).getChannel();
+    mailboxSettings.language = 'fr';
+    mailboxSettings.envelope = true;
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('16');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var envelopes = promptsPlayed.filter(function(prompt) {
+          return prompt === 'vm-envelope-fr';
+        });
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            readerOperations.join() === 'first,next' &&
+            envelopes.length === 2) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support saving a message to a folder', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('19');
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        return sendDigits('7');
+      })
+      .then(function() {
+        return sendDigits('2');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            movedMessages.length === 1 &&
+            movedMessages[0].message === currentMessage &&
+            movedMessages[0].folder === 'Work' &&
+            promptsPlayed.indexOf('vm-invalid-folder') !== -1 &&
+            promptsPlayed.indexOf('vm-message-saved') !== -1 &&
+            readerOperations.join() === 'first,refresh,next') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should keep a marked message saved before hanging up', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('179');
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      if (fsm.state === 'done' && movedMessages.length === 1 &&
+          movedMessages[0].folder === 'Old' &&
+          removedMessages.length === 0 &&
+          promptsPlayed.indexOf('vm-message-deleted') !== -1 &&
+          promptsPlayed.indexOf('vm-message-saved') === -1) {
+        done();
+      } else {
+        done(new Error('saved message deleted or fsm left done'));
+      }
+    }
+  });
+
+  it('should repeat the save to folder menu on inactivity', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        inactivityTimeout: 0.5,
+        maxInactivityPrompts: 1
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('9');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var saveMenus = promptsPlayed.filter(function(prompt) {
+          return prompt === 'vm-save-to-folder';
+        });
+
+        if (answered && authenticated && hungup && saveMenus.length === 2 &&
+            readerOperations.indexOf('repeatMenu') === -1 &&
+            promptsPlayed.indexOf('vm-goodbye') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support undeleting a message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('77');
+      })
+      .then(function() {
+        return sendDigits('39');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'done' && hungup &&
+            removedMessages.length === 0 &&
+            promptsPlayed.indexOf('vm-message-undeleted') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should log message ids when deleting fails', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    var logged;
+    dependencies.logger = {
+      child: function() {
+        var logger = getMockLogger().child();
+
+        logger.error = function(data, message) {
+          if (message === 'error deleting messages') {
+            logged = data;
+          }
+        };
+
+        return logger;
+      }
+    };
+    currentMessage.id = 'locked';
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return deleteMessage();
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'done' && logged &&
+            logged.messageIds.join() === 'locked') {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support playback controls', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var dependencies = getMockDependencies();
+    dependencies.config.getAppConfig().settings = {
+      mailboxReader: {
+        skipDuration: 5
+      }
+    };
+    var fsm = require('../lib/fsm.js')(dependencies)
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('1BBACD34');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var expected = [
+          'first',
+          'pause',
+          'pause',
+          'skipBack:5',
+          'skipForward:5',
+          'speedUp',
+          'slowDown'
+        ];
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            readerOperations.join() === expected.join()) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support marking messages urgent and unread', function(done) {
+    var channel = getMockClient(true).getChannel();
+    mailboxSettings.urgentFirst = true;
+    messageCounts = {
+      urgentMessages: 2
+    };
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('36');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('33');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        return sendDigits('37');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            readerOptions.urgentFirst === true &&
+            urgentChanges.join() === 'true' && currentMessage.urgent &&
+            unreadMessages[0] === currentMessage &&
+            promptsPlayed.indexOf('vm-urgent-messages') !== -1 &&
+            promptsPlayed.indexOf('vm-marked-urgent') !== -1 &&
+            promptsPlayed.indexOf('vm-urgent') !== -1 &&
+            promptsPlayed.indexOf('vm-marked-unread') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support going to a message by number', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('3812#');
+      })
+      .then(function() {
+        return sendDigits('3841#');
+      })
+      .then(function() {
+        return sendDigits('380#');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        var invalid = promptsPlayed.filter(function(prompt) {
+          return prompt === 'vm-invalid-message-number';
+        });
+
+        if (answered && authenticated && fsm.state === 'ready' &&
+            readerOperations.join() === 'gotoMessage:12' &&
+            invalid.length === 2) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support deleting every message in a folder', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('73*');
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        channel.emit('StasisEnd');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'done' &&
+            batches.length === 1 &&
+            batches[0].operation.type === 'delete' &&
+            batches[0].messages.length === 2 &&
+            readerOperations.join() === 'refresh' &&
+            removedMessages.length === 0 &&
+            promptsPlayed.indexOf('vm-confirm-folder-operation') !== -1 &&
+            promptsPlayed.indexOf('vm-folder-operation-complete') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should run a folder operation once when confirmed twice',
+     function(done) {
+    var channel = getMockClient(true).getChannel();
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('3*');
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        return sendDigits('11');
+      })
+      .then(function() {
+        return Q.delay(longAsyncDelay);
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            batches.length === 1 &&
+            readerOperations.join() === 'refresh') {
+          channel.emit('StasisEnd');
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should report folder operations that partly fail', function(done) {
+    this.timeout(4000);
+
+    var channel = getMockClient(true).getChannel();
+    otherMessage.id = 'locked';
+    var fsm = require('../lib/fsm.js')(getMockDependencies())
+      .create(getMockStartEvent(), channel);
+
+    authenticate(true)
+      .then(function() {
+        return sendDigits('3*');
+      })
+      .then(function() {
+        return sendDigits('3');
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        return sendDigits('2');
+      })
+      .then(function() {
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        return sendDigits('1');
+      })
+      .then(function() {
+        checkSucess();
+      })
+      .done();
+
+    /**
+     * check to see if success criterias have been met
+     */
+    function checkSucess() {
+      setTimeout(function() {
+        if (answered && authenticated && fsm.state === 'ready' &&
+            batches.length === 1 &&
+            batches[0].operation.type === 'move' &&
+            batches[0].operation.folder === 'Work' &&
+            promptsPlayed.indexOf('vm-folder-operation-incomplete') !== -1) {
+          done();
+        } else {
+          checkSucess();
+        }
+      }, asyncDelay);
+    }
+  });
+
 });